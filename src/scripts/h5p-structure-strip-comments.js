@@ -0,0 +1,189 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing comments on a section */
+export default class StructureStripComments {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {object[]} [params.comments] Comments with text and optional quote, start and end.
+   * @param {boolean} [params.reviewMode=false] If true, comments can be added and removed.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      comments: [],
+      reviewMode: false,
+      l10n: {
+        comments: 'Comments',
+        addComment: 'Add comment',
+        removeComment: 'Remove'
+      },
+      a11y: {
+        comment: 'Comment'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      getSelection: () => null,
+      onChanged: () => {},
+      onQuoteClicked: () => {}
+    }, callbacks);
+
+    this.comments = this.params.comments.filter(comment => typeof comment.text === 'string');
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-comments');
+
+    const title = document.createElement('div');
+    title.classList.add('h5p-structure-strip-comments-title');
+    title.innerText = this.params.l10n.comments;
+    this.content.appendChild(title);
+
+    this.list = document.createElement('ul');
+    this.list.classList.add('h5p-structure-strip-comments-list');
+    this.content.appendChild(this.list);
+
+    if (this.params.reviewMode) {
+      this.addCommentInput();
+    }
+
+    this.render();
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Get comments.
+   * @return {object[]} Comments.
+   */
+  getComments() {
+    return this.comments;
+  }
+
+  /**
+   * Add input for new comments.
+   */
+  addCommentInput() {
+    const inputContainer = document.createElement('div');
+    inputContainer.classList.add('h5p-structure-strip-comments-input-container');
+    this.content.appendChild(inputContainer);
+
+    const input = document.createElement('textarea');
+    input.classList.add('h5p-structure-strip-comments-input');
+    input.setAttribute('rows', 2);
+    input.setAttribute('aria-label', this.params.a11y.comment);
+    inputContainer.appendChild(input);
+
+    // Remember selection in section text, focussing the button would remove it
+    let selection = null;
+    const buttonAdd = document.createElement('button');
+    buttonAdd.classList.add('h5p-structure-strip-comments-button-add');
+    buttonAdd.innerText = this.params.l10n.addComment;
+    buttonAdd.addEventListener('mousedown', () => {
+      selection = this.callbacks.getSelection();
+    });
+    input.addEventListener('focus', () => {
+      selection = this.callbacks.getSelection();
+    });
+    buttonAdd.addEventListener('click', () => {
+      if (input.value.trim() === '') {
+        return;
+      }
+
+      this.addComment(input.value.trim(), selection);
+      input.value = '';
+      selection = null;
+    });
+    inputContainer.appendChild(buttonAdd);
+  }
+
+  /**
+   * Add comment.
+   * @param {string} text Comment text.
+   * @param {object} [selection] Selected text range with quote, start and end.
+   */
+  addComment(text, selection) {
+    const comment = {
+      text: text,
+      date: new Date().toISOString()
+    };
+
+    if (selection && selection.quote) {
+      comment.quote = selection.quote;
+      if (typeof selection.start === 'number' && typeof selection.end === 'number') {
+        comment.start = selection.start;
+        comment.end = selection.end;
+      }
+    }
+
+    this.comments.push(comment);
+    this.render();
+
+    this.callbacks.onChanged();
+  }
+
+  /**
+   * Remove comment.
+   * @param {number} index Index of comment to remove.
+   */
+  removeComment(index) {
+    this.comments.splice(index, 1);
+    this.render();
+
+    this.callbacks.onChanged();
+  }
+
+  /**
+   * Render list of comments.
+   */
+  render() {
+    while (this.list.firstChild) {
+      this.list.removeChild(this.list.firstChild);
+    }
+
+    // Students only need to see comments if there are any
+    if (!this.params.reviewMode && this.comments.length === 0) {
+      this.content.classList.add('h5p-structure-strip-display-none');
+      return;
+    }
+    this.content.classList.remove('h5p-structure-strip-display-none');
+
+    this.comments.forEach((comment, index) => {
+      const item = document.createElement('li');
+      item.classList.add('h5p-structure-strip-comments-item');
+
+      if (comment.quote) {
+        const quote = document.createElement('button');
+        quote.classList.add('h5p-structure-strip-comments-quote');
+        quote.innerText = comment.quote;
+        quote.addEventListener('click', () => {
+          this.callbacks.onQuoteClicked(comment);
+        });
+        item.appendChild(quote);
+      }
+
+      const text = document.createElement('div');
+      text.classList.add('h5p-structure-strip-comments-text');
+      text.innerText = comment.text;
+      item.appendChild(text);
+
+      if (this.params.reviewMode) {
+        const buttonRemove = document.createElement('button');
+        buttonRemove.classList.add('h5p-structure-strip-comments-button-remove');
+        buttonRemove.innerText = this.params.l10n.removeComment;
+        buttonRemove.addEventListener('click', () => {
+          this.removeComment(index);
+        });
+        item.appendChild(buttonRemove);
+      }
+
+      this.list.appendChild(item);
+    });
+  }
+}
@@ -1,5 +1,13 @@
 import Overlay from './h5p-structure-strip-overlay';
+import StructureStripDraftHistory from './h5p-structure-strip-draft-history';
+import StructureStripGroup from './h5p-structure-strip-group';
+import StructureStripHistory from './h5p-structure-strip-history';
+import StructureStripImporter from './h5p-structure-strip-importer';
+import StructureStripMiniMap from './h5p-structure-strip-mini-map';
+import StructureStripReadability from './h5p-structure-strip-readability';
 import StructureStripSection from './h5p-structure-strip-section';
+import StructureStripSummary from './h5p-structure-strip-summary';
+import StructureStripUnassigned from './h5p-structure-strip-unassigned';
 import Util from './h5p-structure-strip-util';
 
 /** Class representing the content */
@@ -13,7 +21,11 @@ export default class StructureStripContent {
     this.params = params;
 
     this.callbacks = Util.extend({
-      onInteracted: () => {}
+      onExport: () => {},
+      onInteracted: () => {},
+      onRead: () => {},
+      onRubricChanged: () => {},
+      onSectionFocused: () => {}
     }, callbacks);
 
     this.sections = [];
@@ -21,46 +33,334 @@ export default class StructureStripContent {
     this.content = document.createElement('div');
     this.content.classList.add('h5p-structure-strip-content');
 
+    // Texts from previous state that could not be assigned to a section
+    this.unassigned = new StructureStripUnassigned(
+      {
+        texts: this.params.previousState.unassigned,
+        l10n: {
+          unassignedTexts: this.params.l10n.unassignedTexts,
+          discard: this.params.l10n.discard
+        }
+      },
+      {
+        onDiscarded: () => {
+          this.callbacks.onInteracted();
+        }
+      }
+    );
+    this.content.appendChild(this.unassigned.getDOM());
+
+    // Changes across all sections that can be undone
+    this.history = new StructureStripHistory();
+    if (!this.params.reviewMode) {
+      this.addHistoryToolbar();
+    }
+
     // Strips container
-    const stripsContainer = document.createElement('div');
-    stripsContainer.classList.add('h5p-structure-strip-text-strips-container');
-    this.content.appendChild(stripsContainer);
+    this.stripsContainer = document.createElement('div');
+    this.stripsContainer.classList.add('h5p-structure-strip-text-strips-container');
+
+    // Vertical mini-map runs alongside the strips
+    if (this.params.miniMapOrientation === 'vertical') {
+      this.stripsArea = document.createElement('div');
+      this.stripsArea.classList.add('h5p-structure-strip-text-strips-area');
+      this.stripsArea.appendChild(this.stripsContainer);
+    }
+    else {
+      this.stripsArea = this.stripsContainer;
+    }
+    this.content.appendChild(this.stripsArea);
+
+    // Used to recompute the maximum length when instances of sections change
+    this.textLengthMax = this.params.textLengthMax;
 
     // Build strips
-    this.params.sections.forEach((section, index) => {
-      const instanceSection = new StructureStripSection({
-        colorBackground: section.colorBackground,
-        colorText: section.colorText,
-        feedbackMode: this.params.feedbackMode,
-        hasDescription: section.description && section.description !== '',
-        id: index,
-        text: (this.params.previousState.texts) ? this.params.previousState.texts[index] : '',
-        title: Util.htmlDecode(section.title || `${this.params.l10n.section} ${index + 1}`),
-        weight: section.weight,
+    this.buildSections(this.params.previousState.sections);
+    this.snapshotTexts();
+
+    // Overlay
+    this.overlay = new Overlay(
+      {
+        container: this.params.container,
         a11y: {
-          showHints: this.params.a11y.showHints
+          closeWindow: this.params.a11y.closeWindow
         }
-      }, {
-        onContentChanged: () => {
-          this.updateSections();
-        },
-        onHintButtonOpened: (id) => {
-          // TODO: Put this into create overlay content function
-          const hintText = document.createElement('div');
-          hintText.innerHTML = this.params.sections[id].description;
-
-          this.overlay.setTitle(Util.htmlDecode(section.title || `${this.params.l10n.section} ${index + 1}`));
-          this.overlay.setContent(hintText);
-          this.overlay.show();
-        },
-        onInteracted: () => {
-          this.callbacks.onInteracted();
+      },
+      {
+        onClose: () => {
+          this.overlay.hide();
         }
+      }
+    );
+    this.content.appendChild(this.overlay.getDOM());
+  }
+
+  /**
+   * Build sections from the section definitions.
+   * @param {object[]} [previousSections=[]] Sections of previous state.
+   */
+  buildSections(previousSections = []) {
+    while (this.stripsContainer.firstChild) {
+      this.stripsContainer.removeChild(this.stripsContainer.firstChild);
+    }
+
+    this.sections = [];
+    this.groups = [];
+    this.params.sections.forEach((section, index) => {
+      const title = Util.htmlDecode(section.title || `${this.params.l10n.section} ${index + 1}`);
+
+      if (StructureStripContent.hasChildren(section)) {
+        this.buildGroup(section, title, previousSections);
+        return;
+      }
+
+      if (!section.repeatable) {
+        const previousSection = previousSections
+          .filter(previousSection => previousSection.id === section.id)[0];
+
+        this.sections.push(this.createSection(section, section.id, title, previousSection));
+        return;
+      }
+
+      // Repeatable sections get as many instances as were saved within the limits
+      const previousInstances = previousSections
+        .filter(previousSection => StructureStripContent.isInstanceId(previousSection.id, section.id));
+      const bounds = StructureStripContent.getInstanceBounds(section);
+      const count = Math.min(Math.max(previousInstances.length, bounds.min), bounds.max);
+
+      for (let i = 0; i < count; i++) {
+        const id = (previousInstances[i]) ? previousInstances[i].id : this.buildInstanceId(section.id);
+        this.sections.push(this.createSection(section, id, title, previousInstances[i]));
+      }
+    });
+
+    // Movable sections may have been reordered by the student
+    this.restoreOrder(previousSections.map(section => section.id));
+
+    this.handleStructureChanged();
+  }
+
+  /**
+   * Build group of sub-sections that share the weight of their parent section.
+   * @param {object} section Section definition with children.
+   * @param {string} title Title.
+   * @param {object[]} previousSections Sections of previous state.
+   */
+  buildGroup(section, title, previousSections) {
+    const group = new StructureStripGroup({
+      colorBackground: section.colorBackground,
+      colorText: section.colorText,
+      feedbackMode: this.params.feedbackMode,
+      feedbackTexts: section.feedbackTexts || {},
+      id: section.id,
+      title: title,
+      weight: section.weight
+    });
+    this.groups.push(group);
+
+    const childrenTotalWeight = section.children.reduce((sum, child) => sum + child.weight, 0);
+
+    section.children.forEach((child, index) => {
+      const previousSection = previousSections
+        .filter(previousSection => previousSection.id === child.id)[0];
+
+      // Sub-sections look like their parent and get their share of its weight
+      const definition = Util.extend({}, child, {
+        colorBackground: section.colorBackground,
+        colorText: section.colorText,
+        weight: section.weight * child.weight / childrenTotalWeight
       });
-      this.sections.push(instanceSection);
-      stripsContainer.appendChild(instanceSection.getDOM());
+
+      const childSection = this.createSection(
+        definition,
+        child.id,
+        Util.htmlDecode(child.title || `${title} ${index + 1}`),
+        previousSection
+      );
+
+      group.addSection(childSection);
+      this.sections.push(childSection);
+    });
+  }
+
+  /**
+   * Get group that section is a sub-section of.
+   * @param {StructureStripSection} section Section.
+   * @return {StructureStripGroup|undefined} Group or undefined if section is not a sub-section.
+   */
+  getGroup(section) {
+    return this.groups.filter(group => group.contains(section))[0];
+  }
+
+  /**
+   * Create section.
+   * @param {object} section Section definition.
+   * @param {string} id Id of the section or the instance of a repeatable section.
+   * @param {string} title Title.
+   * @param {object} [previousSection] Section of previous state.
+   * @return {StructureStripSection} Section.
+   */
+  createSection(section, id, title, previousSection) {
+    const instanceSection = new StructureStripSection({
+      colorBackground: section.colorBackground,
+      colorText: section.colorText,
+      feedbackMode: this.params.feedbackMode,
+      feedbackTexts: section.feedbackTexts || {},
+      hasDescription: section.description && section.description !== '',
+      id: id,
+      definitionId: section.id,
+      languageTag: this.params.languageTag,
+      lengthMax: (typeof section.lengthMax === 'number') ? section.lengthMax : Number.POSITIVE_INFINITY,
+      lengthMin: section.lengthMin || 0,
+      lengthUnit: this.params.lengthUnit,
+      movable: section.movable || false,
+      showReadability: this.params.readability.showReadability,
+      requiredWords: section.requiredWords || [],
+      forbiddenWords: section.forbiddenWords || [],
+      solution: section.sampleText || '',
+      repeatable: section.repeatable || false,
+      text: (previousSection) ? previousSection.text : '',
+      html: (previousSection) ? previousSection.html : '',
+      comments: (previousSection && Array.isArray(previousSection.comments)) ? previousSection.comments : [],
+      reviewMode: this.params.reviewMode,
+      richText: this.params.richText,
+      rubric: (section.rubric || [])
+        .filter(criterion => criterion.criterion)
+        .map(criterion => {
+          return {criterion: criterion.criterion, points: criterion.points || 0};
+        }),
+      rubricTicks: (previousSection && Array.isArray(previousSection.rubric)) ? previousSection.rubric : [],
+      // Criteria are ticked after checking unless there is no check
+      rubricVisible: this.params.feedbackMode === 'whileTyping' || this.params.reviewMode,
+      timed: this.params.timeLimit > 0,
+      timeSpent: (previousSection && typeof previousSection.timeSpent === 'number') ? previousSection.timeSpent : 0,
+      title: title,
+      weight: section.weight,
+      l10n: {
+        sampleText: this.params.l10n.sampleText,
+        timeBudget: this.params.l10n.timeBudget,
+        comments: this.params.l10n.comments,
+        addComment: this.params.l10n.addComment,
+        removeComment: this.params.l10n.removeComment,
+        rubricTitle: this.params.l10n.rubricTitle,
+        rubricPoints: this.params.l10n.rubricPoints
+      },
+      a11y: {
+        showHints: this.params.a11y.showHints,
+        moveSection: this.params.a11y.moveSection,
+        addInstance: this.params.a11y.addInstance,
+        removeInstance: this.params.a11y.removeInstance,
+        comment: this.params.a11y.comment,
+        bold: this.params.a11y.bold,
+        italic: this.params.a11y.italic,
+        underline: this.params.a11y.underline,
+        bulletedList: this.params.a11y.bulletedList,
+        numberedList: this.params.a11y.numberedList
+      }
+    }, {
+      onCommentsChanged: () => {
+        this.callbacks.onInteracted();
+      },
+      onContentChanged: () => {
+        this.updateSections();
+        this.scheduleTypingCommit();
+      },
+      onDragEnded: () => {
+        this.draggedSection = null;
+      },
+      onDragStarted: () => {
+        this.draggedSection = instanceSection;
+      },
+      onDropped: () => {
+        this.recordStructureChange(() => {
+          this.moveSection(this.draggedSection, instanceSection);
+        });
+      },
+      onFocused: () => {
+        this.callbacks.onSectionFocused();
+      },
+      onMoveRequested: (offset) => {
+        this.recordStructureChange(() => {
+          this.moveSectionBy(instanceSection, offset);
+        });
+      },
+      onPasted: () => {
+        // Pasted text can be undone separately from typing
+        this.commitTyping();
+        window.setTimeout(() => {
+          this.commitTyping();
+        }, 0);
+      },
+      isDropTarget: () => {
+        return this.draggedSection && this.draggedSection !== instanceSection;
+      },
+      onHintButtonOpened: () => {
+        // TODO: Put this into create overlay content function
+        const hintText = document.createElement('div');
+        hintText.innerHTML = section.description;
+
+        this.overlay.setTitle(title);
+        this.overlay.setContent(hintText);
+        this.overlay.show();
+      },
+      onInstanceAdded: () => {
+        this.recordStructureChange(() => {
+          this.addInstance(instanceSection);
+        });
+      },
+      onInstanceRemoved: () => {
+        this.requestRemoveInstance(instanceSection);
+      },
+      onInteracted: () => {
+        this.callbacks.onInteracted();
+      },
+      onRubricChanged: () => {
+        this.callbacks.onRubricChanged();
+      }
+    });
+
+    return instanceSection;
+  }
+
+  /**
+   * Handle sections added, removed or moved.
+   */
+  handleStructureChanged() {
+    this.updateInstances();
+    this.computeWeights();
+    this.computeTimeBudgets();
+    this.buildSummary();
+    this.buildMiniMap();
+    this.updateSections();
+  }
+
+  /**
+   * Split time limit among sections according to their weights.
+   */
+  computeTimeBudgets() {
+    if (!this.params.timeLimit) {
+      return;
+    }
+
+    const totalWeight = this.sections.reduce((sum, section) => sum + section.getWeight(), 0);
+    this.sections.forEach(section => {
+      section.setTimeBudget(Math.round(this.params.timeLimit * section.getWeight() / totalWeight));
+    });
+  }
+
+  /**
+   * Update display of time spent in all sections.
+   */
+  updateTimes() {
+    this.sections.forEach(section => {
+      section.updateTime();
     });
+  }
 
+  /**
+   * Compute values that depend on the weights of all sections.
+   */
+  computeWeights() {
     // Determine reference section (largest weight)
     this.referenceSection = this.sections.reduce( (previous, current) => {
       if (!previous) {
@@ -74,72 +374,927 @@ export default class StructureStripContent {
     this.referenceSectionPercentage = this.referenceSection.getWeight() / sectionsTotalWeight;
 
     // Maximum text length adjusted for weight and slack mustn't be smaller that minimum text length
-    if (this.params.textLengthMax * this.referenceSectionPercentage < this.params.textLengthMin) {
-      this.params.textLengthMax = Number.POSITIVE_INFINITY;
+    this.params.textLengthMax = (this.textLengthMax * this.referenceSectionPercentage < this.params.textLengthMin) ?
+      Number.POSITIVE_INFINITY :
+      this.textLengthMax;
+
+    // Greatest common divisor of section weights, sub-sections may have fractional weights
+    const scale = this.params.sections
+      .filter(section => StructureStripContent.hasChildren(section))
+      .reduce((scale, section) => {
+        const childrenTotalWeight = section.children.reduce((sum, child) => sum + child.weight, 0);
+        return scale * childrenTotalWeight / Util.greatestCommonDivisor(scale, childrenTotalWeight);
+      }, 1);
+
+    this.greatestCommonDivisor = Util.greatestCommonDivisorArray(
+      this.sections.map(section => Math.round(section.getWeight() * scale))
+    ) / scale;
+  }
+
+  /**
+   * Build overall statistics for the current sections.
+   */
+  buildSummary() {
+    if (this.params.summaryPosition !== 'above' && this.params.summaryPosition !== 'below') {
+      return;
     }
 
-    // Greatest common divisor of section weights.
-    this.greatestCommonDivisor = Util.greatestCommonDivisorArray(this.sections.map(section => section.getWeight()));
+    const summary = new StructureStripSummary(
+      {
+        sections: this.sections.map(section => {
+          return {
+            title: section.getTitle(),
+            weight: section.getWeight(),
+            colorBackground: section.getColors().background,
+            colorText: section.getColors().text
+          };
+        }),
+        textLengthMin: this.params.textLengthMin,
+        textLengthMax: this.params.textLengthMax,
+        l10n: {
+          totalLength: this.params.l10n.summaryTotalLength,
+          belowMinimum: this.params.l10n.summaryBelowMinimum,
+          aboveMaximum: this.params.l10n.summaryAboveMaximum,
+          withinLimits: this.params.l10n.summaryWithinLimits,
+          targetShare: this.params.l10n.summaryTargetShare,
+          actualShare: this.params.l10n.summaryActualShare
+        }
+      },
+      {
+        getUnitLabel: (count) => this.getUnitLabel(count)
+      }
+    );
 
-    if (this.params.feedbackMode === 'whileTyping') {
-      this.updateSections();
+    if (this.summary) {
+      this.content.replaceChild(summary.getDOM(), this.summary.getDOM());
+    }
+    else if (this.params.summaryPosition === 'above') {
+      this.content.insertBefore(summary.getDOM(), this.stripsArea);
+    }
+    else {
+      this.content.insertBefore(summary.getDOM(), this.stripsArea.nextSibling);
     }
 
-    // Overlay
-    this.overlay = new Overlay(
+    this.summary = summary;
+  }
+
+  /**
+   * Build map of the current sections in proportion to their weights.
+   */
+  buildMiniMap() {
+    if (this.params.miniMapOrientation !== 'horizontal' && this.params.miniMapOrientation !== 'vertical') {
+      return;
+    }
+
+    const miniMap = new StructureStripMiniMap(
       {
-        container: this.params.container,
+        sections: this.sections.map(section => {
+          return {
+            id: section.getId(),
+            title: section.getTitle(),
+            weight: section.getWeight(),
+            colorBackground: section.getColors().background,
+            colorText: section.getColors().text
+          };
+        }),
+        orientation: this.params.miniMapOrientation,
         a11y: {
-          closeWindow: this.params.a11y.closeWindow
+          miniMap: this.params.a11y.miniMap,
+          miniMapSection: this.params.a11y.miniMapSection
         }
       },
       {
-        onClose: () => {
+        onSectionChosen: (id) => {
+          this.goToSection(id);
+        }
+      }
+    );
+
+    if (this.miniMap) {
+      this.miniMap.getDOM().parentNode.replaceChild(miniMap.getDOM(), this.miniMap.getDOM());
+    }
+    else if (this.params.miniMapOrientation === 'vertical') {
+      this.stripsArea.insertBefore(miniMap.getDOM(), this.stripsContainer);
+    }
+    else {
+      this.content.insertBefore(miniMap.getDOM(), this.stripsArea);
+    }
+
+    this.miniMap = miniMap;
+  }
+
+  /**
+   * Scroll to section and focus it.
+   * @param {string} id Id of section.
+   */
+  goToSection(id) {
+    const section = this.getSection(id);
+    if (!section) {
+      return;
+    }
+
+    section.getDOM().scrollIntoView({behavior: 'smooth', block: 'start'});
+    section.focus();
+  }
+
+  /**
+   * Update titles and buttons of instances of repeatable sections.
+   */
+  updateInstances() {
+    this.params.sections
+      .filter(section => section.repeatable)
+      .forEach(section => {
+        const instances = this.sections.filter(instance => instance.getDefinitionId() === section.id);
+        const bounds = StructureStripContent.getInstanceBounds(section);
+        const title = Util.htmlDecode(section.title || `${this.params.l10n.section} ${this.params.sections.indexOf(section) + 1}`);
+
+        instances.forEach((instance, index) => {
+          instance.setTitle(`${title} ${index + 1}`);
+          instance.setInstancesChangeable(instances.length < bounds.max, instances.length > bounds.min);
+        });
+      });
+  }
+
+  /**
+   * Add instance of repeatable section after given instance.
+   * @param {StructureStripSection} instance Instance to add new instance after.
+   */
+  addInstance(instance) {
+    const section = this.params.sections.filter(section => section.id === instance.getDefinitionId())[0];
+    const instances = this.sections.filter(candidate => candidate.getDefinitionId() === section.id);
+    if (instances.length >= StructureStripContent.getInstanceBounds(section).max) {
+      return;
+    }
+
+    const newInstance = this.createSection(section, this.buildInstanceId(section.id), instance.getTitle());
+    this.sections.splice(this.sections.indexOf(instance) + 1, 0, newInstance);
+
+    this.applyOrder();
+    this.handleStructureChanged();
+
+    newInstance.focus();
+    this.callbacks.onRead(this.params.a11y.instanceAdded.replace(/@title/g, newInstance.getTitle()));
+    this.callbacks.onInteracted();
+  }
+
+  /**
+   * Request to remove instance of repeatable section. Will ask for confirmation if text would be lost.
+   * @param {StructureStripSection} instance Instance to remove.
+   */
+  requestRemoveInstance(instance) {
+    if (instance.getText().trim() === '' || !this.container) {
+      this.recordStructureChange(() => {
+        this.removeInstance(instance);
+      });
+      return;
+    }
+
+    const dialog = new H5P.ConfirmationDialog({
+      headerText: this.params.l10n.removeInstanceHeader,
+      dialogText: this.params.l10n.removeInstanceText.replace(/@title/g, instance.getTitle()),
+      cancelText: this.params.l10n.cancel,
+      confirmText: this.params.l10n.removeInstanceConfirm
+    });
+    dialog.on('confirmed', () => {
+      this.recordStructureChange(() => {
+        this.removeInstance(instance);
+      });
+    });
+    dialog.appendTo(this.container);
+    dialog.show();
+  }
+
+  /**
+   * Remove instance of repeatable section.
+   * @param {StructureStripSection} instance Instance to remove.
+   */
+  removeInstance(instance) {
+    const section = this.params.sections.filter(section => section.id === instance.getDefinitionId())[0];
+    const instances = this.sections.filter(candidate => candidate.getDefinitionId() === section.id);
+    if (instances.length <= StructureStripContent.getInstanceBounds(section).min) {
+      return;
+    }
+
+    const title = instance.getTitle();
+    const index = this.sections.indexOf(instance);
+    this.sections.splice(index, 1);
+    this.stripsContainer.removeChild(instance.getDOM());
+
+    this.handleStructureChanged();
+
+    // Keep focus close to the removed instance
+    this.sections[Math.min(index, this.sections.length - 1)].focus();
+    this.callbacks.onRead(this.params.a11y.instanceRemoved.replace(/@title/g, title));
+    this.callbacks.onInteracted();
+  }
+
+  /**
+   * Build unused id for instance of repeatable section.
+   * The first instance uses the id of the section definition.
+   * @param {string} sectionId Id of section definition.
+   * @return {string} Id for instance.
+   */
+  buildInstanceId(sectionId) {
+    const ids = this.sections.map(section => section.getId());
+    if (ids.indexOf(sectionId) === -1) {
+      return sectionId;
+    }
+
+    let count = 2;
+    while (ids.indexOf(`${sectionId}${StructureStripContent.INSTANCE_SEPARATOR}${count}`) !== -1) {
+      count++;
+    }
+
+    return `${sectionId}${StructureStripContent.INSTANCE_SEPARATOR}${count}`;
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Set container.
+   * @param {HTMLElement} container Container to set.
+   */
+  setContainer(container) {
+    this.container = container;
+    this.overlay.setContainer(container);
+  }
+
+  /**
+   * Return the text of all strips.
+   * @return {object[]} Texts of all strips.
+   */
+  getText(concatenated = false) {
+    const texts = this.sections.map(strip => strip.getText());
+    return concatenated ? texts.filter(text => text !== '').join('\n') : texts;
+  }
+
+  /**
+   * Return the HTML of all strips.
+   * @param {boolean} [concatenated=false] If true, return HTML of all strips as one string.
+   * @return {string[]|string} HTML of all strips.
+   */
+  getHTML(concatenated = false) {
+    const htmls = this.sections.map(strip => strip.getHTML());
+    return concatenated ? htmls.filter(html => html !== '').join('') : htmls;
+  }
+
+  /**
+   * Get title, text and HTML of all sections.
+   * @return {object[]} Title, text and HTML of all sections.
+   */
+  getSectionTexts() {
+    return this.sections.map(section => {
+      return {
+        title: section.getTitle(),
+        text: section.getText(),
+        html: section.getHTML()
+      };
+    });
+  }
+
+  /**
+   * Get states of all sections.
+   * @return {object[]} Id, title, text, rubric ticks, teacher comments and time spent of all sections.
+   */
+  getSectionStates() {
+    return this.sections.map(section => {
+      const state = {
+        id: section.getId(),
+        title: section.getTitle(),
+        text: section.getText()
+      };
+
+      if (this.params.richText) {
+        state.html = section.getHTML();
+      }
+
+      if (section.hasRubric()) {
+        state.rubric = section.getRubricTicks();
+      }
+
+      const comments = section.getComments();
+      if (comments.length > 0) {
+        state.comments = comments;
+      }
+
+      if (this.params.timeLimit) {
+        state.timeSpent = section.getTimeSpent();
+      }
+
+      return state;
+    });
+  }
+
+  /**
+   * Get time spent and suggested time of all sections.
+   * @return {object[]} Id, title, time spent and suggested time in seconds.
+   */
+  getTimes() {
+    return this.sections.map(section => {
+      return {
+        id: section.getId(),
+        title: section.getTitle(),
+        timeSpent: section.getTimeSpent(),
+        timeBudget: section.getTimeBudget()
+      };
+    });
+  }
+
+  /**
+   * Get rubric results of all sections that have rubric criteria.
+   * @return {object[]} Id, title and criteria with their ticks.
+   */
+  getRubricResults() {
+    return this.sections
+      .filter(section => section.hasRubric())
+      .map(section => {
+        return {
+          id: section.getId(),
+          title: section.getTitle(),
+          criteria: section.getRubricResults()
+        };
+      });
+  }
+
+  /**
+   * Get score of ticked rubric criteria of all sections.
+   * @return {number} Score.
+   */
+  getRubricScore() {
+    return this.sections.reduce((sum, section) => sum + section.getRubricScore(), 0);
+  }
+
+  /**
+   * Get maximum score of rubric criteria of all sections.
+   * @return {number} Maximum score.
+   */
+  getRubricMaxScore() {
+    return this.sections.reduce((sum, section) => sum + section.getRubricMaxScore(), 0);
+  }
+
+  /**
+   * Get texts that could not be assigned to a section.
+   * @return {object[]} Title and text of unassigned texts.
+   */
+  getUnassignedTexts() {
+    return this.unassigned.getTexts();
+  }
+
+  /**
+   * Get definitions of all sections.
+   * @return {object[]} Title, weight and group title (for sub-sections) of all sections.
+   */
+  getSectionDefinitions() {
+    return this.sections.map(section => {
+      const definition = {
+        title: section.getTitle(),
+        weight: section.getWeight()
+      };
+
+      const group = this.getGroup(section);
+      if (group) {
+        definition.group = group.getTitle();
+      }
+
+      return definition;
+    });
+  }
+
+  /**
+   * Show export options.
+   */
+  showExportOptions() {
+    const options = document.createElement('div');
+    options.classList.add('h5p-structure-strip-export-options');
+
+    [
+      {format: 'docx', label: this.params.l10n.exportDocx},
+      {format: 'markdown', label: this.params.l10n.exportMarkdown},
+      {format: 'html', label: this.params.l10n.exportHTML},
+      {format: 'text', label: this.params.l10n.exportText}
+    ].forEach(option => {
+      const button = document.createElement('button');
+      button.classList.add('h5p-structure-strip-export-option');
+      button.classList.add(`h5p-structure-strip-export-option-${option.format}`);
+      button.innerText = option.label;
+      button.addEventListener('click', () => {
+        this.overlay.hide();
+        this.callbacks.onExport(option.format);
+      });
+      options.appendChild(button);
+    });
+
+    this.overlay.setTitle(this.params.l10n.exportTitle);
+    this.overlay.setContent(options);
+    this.overlay.show();
+  }
+
+  /**
+   * Show earlier drafts that sections can be restored from.
+   * @param {object[]} snapshots Snapshots with date and state, latest first.
+   */
+  showDraftHistory(snapshots) {
+    const history = new StructureStripDraftHistory(
+      {
+        snapshots: snapshots,
+        languageTag: this.params.languageTag,
+        l10n: {
+          noDrafts: this.params.l10n.noDrafts,
+          restore: this.params.l10n.restoreDraft
+        }
+      },
+      {
+        isRestorable: (sectionState) => {
+          const section = this.getSection(sectionState.id);
+          return section !== undefined && section.isEnabled() && section.getText() !== sectionState.text;
+        },
+        onRestored: (sectionState) => {
           this.overlay.hide();
+          this.restoreSection(sectionState);
         }
       }
     );
-    this.content.appendChild(this.overlay.getDOM());
+
+    this.showOverlay(this.params.l10n.draftHistoryTitle, history.getDOM());
+  }
+
+  /**
+   * Restore text of a section from an earlier draft.
+   * @param {object} sectionState State of section with id, text and html.
+   */
+  restoreSection(sectionState) {
+    const section = this.getSection(sectionState.id);
+    if (!section) {
+      return;
+    }
+
+    this.commitTyping();
+    section.setText(sectionState.text, sectionState.html);
+    this.updateSections();
+    this.commitTyping();
+
+    section.focus();
+    this.callbacks.onRead(this.params.a11y.draftRestored.replace(/@title/g, section.getTitle()));
+    this.callbacks.onInteracted();
+  }
+
+  /**
+   * Show importer for splitting an existing text into the sections.
+   */
+  showImporter() {
+    const importer = new StructureStripImporter(
+      {
+        sections: this.sections.map(section => {
+          return {title: section.getTitle()};
+        }),
+        lengthUnit: this.params.lengthUnit,
+        languageTag: this.params.languageTag,
+        l10n: {
+          importInstructions: this.params.l10n.importInstructions,
+          importChooseFile: this.params.l10n.importChooseFile,
+          importFileError: this.params.l10n.importFileError,
+          importProposeSplit: this.params.l10n.importProposeSplit,
+          importAdjustSplit: this.params.l10n.importAdjustSplit,
+          importBack: this.params.l10n.importBack,
+          importDistribute: this.params.l10n.importDistribute
+        },
+        a11y: {
+          importInput: this.params.a11y.importInput,
+          importMoveUp: this.params.a11y.importMoveUp,
+          importMoveDown: this.params.a11y.importMoveDown
+        }
+      },
+      {
+        getTargetLengths: (totalLength) => {
+          return this.computeImportTargetLengths(totalLength);
+        },
+        buildStatusTexts: (lengths) => {
+          return this.buildImportStatusTexts(lengths);
+        },
+        onDistributed: (texts) => {
+          this.overlay.hide();
+          this.importTexts(texts);
+        }
+      }
+    );
+
+    this.showOverlay(this.params.l10n.importTitle, importer.getDOM());
+  }
+
+  /**
+   * Replace texts of all sections with imported texts, can be undone at once.
+   * @param {string[]} texts Text of each section.
+   */
+  importTexts(texts) {
+    this.recordStructureChange(() => {
+      this.sections.forEach((section, index) => {
+        section.setText(texts[index] || '');
+      });
+    });
+
+    this.updateSections();
+
+    const firstSection = this.sections.filter((section, index) => texts[index])[0];
+    if (firstSection) {
+      firstSection.focus();
+    }
+
+    this.callbacks.onRead(this.params.a11y.textImported);
+    this.callbacks.onInteracted();
+  }
+
+  /**
+   * Compute target lengths of sections if a text of a given length was split.
+   * @param {number} totalLength Length of whole text.
+   * @return {number[]} Target length of each section.
+   */
+  computeImportTargetLengths(totalLength) {
+    const normedLengths = this.computeNormedLengths(this.computeImportReferenceLength(totalLength));
+    const normedLength = (normedLengths.min + normedLengths.max) / 2;
+
+    return this.sections.map(section => normedLength * section.getWeight());
+  }
+
+  /**
+   * Build status texts that sections would have with imported texts.
+   * @param {number[]} lengths Length of imported text of each section.
+   * @return {string[]} Status text of each section, empty if length is alright.
+   */
+  buildImportStatusTexts(lengths) {
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+    const normedLengths = this.computeNormedLengths(this.computeImportReferenceLength(totalLength));
+
+    return this.sections.map((section, index) => {
+      // Stand-in for the section holding the imported text
+      const proposal = {
+        getLength: () => lengths[index] || 0,
+        getWeight: () => section.getWeight(),
+        getLengthBounds: () => section.getLengthBounds()
+      };
+
+      const status = this.computeAbsoluteStatus(proposal) || this.computeRelativeStatus(proposal, normedLengths);
+      if (status.state === 'alright') {
+        return '';
+      }
+
+      const template = (status.rule === 'absolute') ? `${status.state}Absolute` : status.state;
+      return this.fillLengthTemplate(this.params.l10n[template], section, index, status);
+    });
+  }
+
+  /**
+   * Compute length of reference section if a text of a given length was split by weight.
+   * @param {number} totalLength Length of whole text.
+   * @return {number} Length of reference section.
+   */
+  computeImportReferenceLength(totalLength) {
+    const totalWeight = this.sections.reduce((sum, section) => sum + section.getWeight(), 0);
+    return totalLength * this.referenceSection.getWeight() / totalWeight;
+  }
+
+  /**
+   * Add toolbar with buttons for undoing and redoing changes.
+   */
+  addHistoryToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.classList.add('h5p-structure-strip-history-toolbar');
+    toolbar.setAttribute('role', 'toolbar');
+    this.content.appendChild(toolbar);
+
+    this.historyButtons = {};
+    [
+      {name: 'undo', label: this.params.a11y.undo, action: () => this.undo()},
+      {name: 'redo', label: this.params.a11y.redo, action: () => this.redo()}
+    ].forEach(item => {
+      const button = document.createElement('button');
+      button.classList.add('h5p-structure-strip-history-button');
+      button.classList.add(`h5p-structure-strip-history-button-${item.name}`);
+      button.setAttribute('aria-label', item.label);
+      button.setAttribute('title', item.label);
+      button.disabled = true;
+      button.addEventListener('click', item.action);
+      toolbar.appendChild(button);
+
+      this.historyButtons[item.name] = button;
+    });
+
+    // Shortcuts replace the browser's undo that only covers a single field
+    this.content.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || !this.isHistoryEnabled()) {
+        return;
+      }
+
+      // Fields in the overlay, e.g. the importer, keep the browser's undo
+      if (this.overlay && this.overlay.getDOM().contains(event.target)) {
+        return;
+      }
+
+      const key = (event.key || '').toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      }
+      else if (key === 'y' || key === 'z' && event.shiftKey) {
+        event.preventDefault();
+        this.redo();
+      }
+    });
+  }
+
+  /**
+   * Determine whether changes can be undone and redone.
+   * @return {boolean} True, if changes can be undone and redone.
+   */
+  isHistoryEnabled() {
+    return !this.params.reviewMode && this.sections.every(section => section.isEnabled());
+  }
+
+  /**
+   * Update state of undo and redo buttons.
+   */
+  updateHistoryButtons() {
+    if (!this.historyButtons) {
+      return;
+    }
+
+    this.historyButtons.undo.disabled = !this.isHistoryEnabled() || !this.history.canUndo();
+    this.historyButtons.redo.disabled = !this.isHistoryEnabled() || !this.history.canRedo();
+  }
+
+  /**
+   * Remember texts of all sections as the latest state that changes are recorded against.
+   */
+  snapshotTexts() {
+    this.committedTexts = {};
+    this.sections.forEach(section => {
+      this.committedTexts[section.getId()] = {
+        text: section.getText(),
+        html: section.getHTML()
+      };
+    });
+  }
+
+  /**
+   * Record typing after a pause, so single keystrokes are not undone one by one.
+   */
+  scheduleTypingCommit() {
+    window.clearTimeout(this.typingCommitTimeout);
+    this.typingCommitTimeout = window.setTimeout(() => {
+      this.commitTyping();
+    }, StructureStripContent.TYPING_COMMIT_DELAY_MS);
+  }
+
+  /**
+   * Record texts that were changed since they were recorded last.
+   */
+  commitTyping() {
+    window.clearTimeout(this.typingCommitTimeout);
+
+    this.sections.forEach(section => {
+      const committed = this.committedTexts[section.getId()];
+      const current = {
+        text: section.getText(),
+        html: section.getHTML()
+      };
+
+      // HTML of plain text drops blank lines, so text is compared, too
+      if (committed && committed.text === current.text && committed.html === current.html) {
+        return;
+      }
+
+      if (committed) {
+        this.history.push({
+          sectionId: section.getId(),
+          before: committed,
+          after: current
+        });
+      }
+
+      this.committedTexts[section.getId()] = current;
+    });
+
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Record change of sections, e.g. reordering, so it can be undone.
+   * @param {function} change Function that changes the sections.
+   */
+  recordStructureChange(change) {
+    this.commitTyping();
+
+    const before = this.getSectionStates();
+    change();
+    const after = this.getSectionStates();
+
+    const getTexts = states => JSON.stringify(states.map(state => [state.id, state.text, state.html]));
+    if (getTexts(before) !== getTexts(after)) {
+      this.history.push({
+        before: before,
+        after: after
+      });
+    }
+
+    this.snapshotTexts();
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Undo latest change.
+   */
+  undo() {
+    if (!this.isHistoryEnabled()) {
+      return;
+    }
+
+    this.commitTyping();
+
+    const entry = this.history.undo();
+    if (!entry) {
+      this.callbacks.onRead(this.params.a11y.nothingToUndo);
+      return;
+    }
+
+    this.applyHistoryEntry(entry, 'before');
+
+    this.callbacks.onRead((entry.sectionId) ?
+      this.params.a11y.undoneText.replace(/@title/g, this.getSection(entry.sectionId).getTitle()) :
+      this.params.a11y.undoneStructure
+    );
+  }
+
+  /**
+   * Redo latest undone change.
+   */
+  redo() {
+    if (!this.isHistoryEnabled()) {
+      return;
+    }
+
+    this.commitTyping();
+
+    const entry = this.history.redo();
+    if (!entry) {
+      this.callbacks.onRead(this.params.a11y.nothingToRedo);
+      return;
+    }
+
+    this.applyHistoryEntry(entry, 'after');
+
+    this.callbacks.onRead((entry.sectionId) ?
+      this.params.a11y.redoneText.replace(/@title/g, this.getSection(entry.sectionId).getTitle()) :
+      this.params.a11y.redoneStructure
+    );
+  }
+
+  /**
+   * Apply state before or after a change.
+   * @param {object} entry Change.
+   * @param {string} key before|after.
+   */
+  applyHistoryEntry(entry, key) {
+    if (entry.sectionId) {
+      const section = this.getSection(entry.sectionId);
+      section.setText(entry[key].text, entry[key].html);
+      this.updateSections();
+      section.focus();
+    }
+    else {
+      const focusedSection = this.sections
+        .filter(section => section.getDOM().contains(document.activeElement))[0];
+
+      // Only texts and order are changed, rubric ticks, comments, etc. are kept
+      const currentStates = this.getSectionStates();
+      const states = entry[key].map(state => {
+        const currentState = currentStates.filter(current => current.id === state.id)[0];
+        return (currentState) ? Util.extend({}, currentState, {text: state.text, html: state.html}) : state;
+      });
+
+      this.buildSections(states);
+
+      // Rebuilding removes focus
+      const section = (focusedSection) ? this.getSection(focusedSection.getId()) : undefined;
+      if (section) {
+        section.focus();
+      }
+    }
+
+    this.snapshotTexts();
+    this.updateHistoryButtons();
+    this.callbacks.onInteracted();
+  }
+
+  /**
+   * Get section.
+   * @param {string} id Id of section.
+   * @return {StructureStripSection|undefined} Section with that id.
+   */
+  getSection(id) {
+    return this.sections.filter(section => section.getId() === id)[0];
+  }
+
+  /**
+   * Show overlay.
+   * @param {string} title Title of overlay.
+   * @param {HTMLElement} content Content of overlay.
+   */
+  showOverlay(title, content) {
+    this.overlay.setTitle(title);
+    this.overlay.setContent(content);
+    this.overlay.show();
+  }
+
+  /**
+   * Hide overlay.
+   */
+  hideOverlay() {
+    this.overlay.hide();
+  }
+
+  /**
+   * Resize.
+   */
+  resize() {
+    this.overlay.resize();
+  }
+
+  /**
+   * Enable sections.
+   */
+  enableSections() {
+    this.sections.forEach(section => {
+      section.enable();
+    });
+
+    this.updateHistoryButtons();
   }
 
   /**
-   * Return the DOM for this class.
-   * @return {HTMLElement} DOM for this class.
+   * Reset sections.
+   * @param {object} [params={}] Parameters.
+   * @param {boolean} [params.keepText=false] If true, the texts will be kept.
    */
-  getDOM() {
-    return this.content;
+  reset(params = {}) {
+    // Restore order and instances given by the author, clearing texts can be undone
+    if (!params.keepText) {
+      this.recordStructureChange(() => {
+        this.buildSections();
+        this.sections.forEach(section => {
+          section.reset();
+        });
+      });
+    }
+    else {
+      this.sections.forEach(section => {
+        section.reset({keepText: true});
+      });
+    }
+
+    this.updateSections();
+    this.updateHistoryButtons();
   }
 
   /**
-   * Set container.
-   * @param {HTMLElement} container Container to set.
+   * Disable sections.
    */
-  setContainer(container) {
-    this.overlay.setContainer(container);
+  disableSections() {
+    this.sections.forEach(section => {
+      section.disable();
+    });
+
+    this.updateHistoryButtons();
   }
 
   /**
-   * Return the text of all strips.
-   * @return {object[]} Texts of all strips.
+   * Determine whether any section has a sample text.
+   * @return {boolean} True, if any section has a sample text.
    */
-  getText(concatenated = false) {
-    const texts = this.sections.map(strip => strip.getText());
-    return concatenated ? texts.filter(text => text !== '').join('\n') : texts;
+  hasSolutions() {
+    return this.sections.some(section => section.hasSolution());
   }
 
   /**
-   * Resize.
+   * Show sample texts of all sections.
    */
-  resize() {
-    this.overlay.resize();
+  showSolutions() {
+    this.sections.forEach(section => {
+      section.showSolution();
+      section.disableRubric();
+    });
   }
 
   /**
-   * Enable sections.
+   * Hide sample texts of all sections.
    */
-  enableSections() {
+  hideSolutions() {
     this.sections.forEach(section => {
-      section.enable();
+      section.hideSolution();
     });
   }
 
@@ -147,20 +1302,46 @@ export default class StructureStripContent {
    * Update sections' status.
    */
   updateSections() {
+    const lengths = this.sections.map(section => section.getLength());
+
+    if (this.summary) {
+      this.summary.update(lengths);
+    }
+
+    if (this.miniMap) {
+      this.miniMap.update(lengths);
+    }
+
+    if (this.params.readability.showReadability) {
+      this.updateReadability();
+    }
+
     if (this.params.feedbackMode !== 'whileTyping') {
       return;
     }
 
     // Only show feedback if all sections have been filled
-    if (this.sections.some(section => section.getText().length === 0)) {
+    if (this.sections.some(section => section.getLength() === 0)) {
       this.sections.forEach(section => {
         section.setStatus('&nbsp;');
         section.setProgressBar(0);
       });
 
+      this.groups.forEach(group => {
+        group.setStatus('&nbsp;');
+      });
+
       return;
     }
 
+    const groupFeedbackTexts = this.buildGroupFeedbackTexts({
+      tooLong: this.params.l10n.tooLong,
+      tooShort: this.params.l10n.tooShort
+    });
+    this.groups.forEach((group, index) => {
+      group.setStatus(groupFeedbackTexts[index] || '&nbsp;');
+    });
+
     // TODO: This handling may be improved ...
     //       Merge buildFeedbackTexts, buildProgress and updating sections
     //       Take care of checkAnswer using buildFeedbackTexts
@@ -168,24 +1349,176 @@ export default class StructureStripContent {
     // Feedback texts
     const feedbackTexts = this.buildFeedbackTexts({
       tooLong: this.params.l10n.tooLong,
-      tooShort: this.params.l10n.tooShort
+      tooShort: this.params.l10n.tooShort,
+      tooLongAbsolute: this.params.l10n.tooLongAbsolute,
+      tooShortAbsolute: this.params.l10n.tooShortAbsolute
+    });
+
+    const keywordFeedbackTexts = this.buildKeywordFeedbackTexts({
+      missingWords: this.params.l10n.missingWords,
+      forbiddenWords: this.params.l10n.forbiddenWords
+    });
+
+    const readabilityFeedbackTexts = this.buildReadabilityFeedbackTexts({
+      sentencesTooShort: this.params.l10n.sentencesTooShort,
+      sentencesTooLong: this.params.l10n.sentencesTooLong,
+      tooFewLongWords: this.params.l10n.tooFewLongWords,
+      tooManyLongWords: this.params.l10n.tooManyLongWords,
+      readingEaseTooLow: this.params.l10n.readingEaseTooLow,
+      readingEaseTooHigh: this.params.l10n.readingEaseTooHigh
     });
 
     // Progresses
     const progresses = this.buildProgresses();
 
     this.sections.forEach((section, index) => {
-      section.setStatus(feedbackTexts[index] || '&nbsp;');
+      const statusTexts = [feedbackTexts[index]]
+        .concat(keywordFeedbackTexts[index], readabilityFeedbackTexts[index])
+        .filter(text => text);
+
+      section.setStatus(statusTexts.join(', ') || '&nbsp;');
       section.setProgressBar(progresses[index]);
     });
   }
 
+  /**
+   * Restore order of movable sections.
+   * @param {string[]} ids Ids of sections in the order to restore.
+   */
+  restoreOrder(ids) {
+    const movableSections = this.sections.filter(section => section.isMovable());
+
+    // Sections that are not listed keep their relative position at the end
+    const getRank = (section) => {
+      const rank = ids.indexOf(section.getId());
+      return (rank === -1) ? ids.length + movableSections.indexOf(section) : rank;
+    };
+
+    this.placeMovableSections(movableSections.slice().sort((a, b) => getRank(a) - getRank(b)));
+    this.applyOrder();
+  }
+
+  /**
+   * Put movable sections into the positions of movable sections.
+   * Fixed sections stay in place.
+   * @param {StructureStripSection[]} movableSections Movable sections in new order.
+   */
+  placeMovableSections(movableSections) {
+    let position = 0;
+    this.sections = this.sections.map(section => {
+      return (section.isMovable()) ? movableSections[position++] : section;
+    });
+  }
+
+  /**
+   * Move section to position of other section.
+   * @param {StructureStripSection} section Section to move.
+   * @param {StructureStripSection} target Section whose position to take.
+   */
+  moveSection(section, target) {
+    if (!section || !target || section === target || !section.isMovable() || !target.isMovable()) {
+      return;
+    }
+
+    const movableSections = this.sections.filter(candidate => candidate.isMovable());
+    const targetPosition = movableSections.indexOf(target);
+
+    const reorderedSections = movableSections.filter(movableSection => movableSection !== section);
+    reorderedSections.splice(targetPosition, 0, section);
+
+    this.placeMovableSections(reorderedSections);
+    this.applyOrder();
+    this.handleStructureChanged();
+
+    this.callbacks.onRead(this.params.a11y.sectionMoved
+      .replace(/@title/g, section.getTitle())
+      .replace(/@position/g, this.sections.indexOf(section) + 1)
+      .replace(/@total/g, this.sections.length)
+    );
+    this.callbacks.onInteracted();
+  }
+
+  /**
+   * Move section to position of next movable section in given direction.
+   * @param {StructureStripSection} section Section to move.
+   * @param {number} offset -1 to move up, 1 to move down.
+   */
+  moveSectionBy(section, offset) {
+    const movableSections = this.sections.filter(candidate => candidate.isMovable());
+    const target = movableSections[movableSections.indexOf(section) + offset];
+    if (!target) {
+      return;
+    }
+
+    this.moveSection(section, target);
+
+    // Moving the DOM element may remove focus
+    section.focusMoveButton();
+  }
+
+  /**
+   * Update DOM to order of sections.
+   */
+  applyOrder() {
+    this.sections.forEach(section => {
+      // Sub-sections stay inside their group
+      const group = this.getGroup(section);
+      if (group) {
+        this.stripsContainer.appendChild(group.getDOM());
+        return;
+      }
+
+      this.stripsContainer.appendChild(section.getDOM());
+    });
+  }
+
+  /**
+   * Update readability metrics of all sections and of the whole text.
+   */
+  updateReadability() {
+    const counts = this.sections.map(section => section.getReadabilityCounts());
+
+    this.sections.forEach((section, index) => {
+      section.setMetrics(this.buildMetricsText(
+        StructureStripReadability.computeMetrics(counts[index], this.params.languageTag)
+      ));
+    });
+
+    if (this.summary) {
+      this.summary.setReadability(this.buildMetricsText(
+        StructureStripReadability.computeMetrics(StructureStripReadability.addCounts(counts), this.params.languageTag)
+      ));
+    }
+  }
+
+  /**
+   * Build text for readability metrics.
+   * @param {object|null} metrics Readability metrics.
+   * @return {string} Text for readability metrics, empty if there are no metrics.
+   */
+  buildMetricsText(metrics) {
+    if (!metrics) {
+      return '';
+    }
+
+    let text = this.params.l10n.readabilityMetrics
+      .replace(/@sentenceLength/g, metrics.averageSentenceLength)
+      .replace(/@longWords/g, metrics.longWordRatio);
+
+    if (metrics.readingEase !== null) {
+      text = `${text}, ${this.params.l10n.readabilityReadingEase.replace(/@readingEase/g, metrics.readingEase)}`;
+    }
+
+    return text;
+  }
+
   /**
    * Compute normed min and max length of text.
+   * @param {number} [referenceLength] Length of reference section, defaults to its current length.
    * @return {object} Min and max length of text.
    */
-  computeNormedLengths() {
-    let referenceLength = Math.max(this.referenceSection.getText().length, this.referenceSection.getWeight() / this.greatestCommonDivisor);
+  computeNormedLengths(referenceLength = this.referenceSection.getLength()) {
+    referenceLength = Math.max(referenceLength, this.referenceSection.getWeight() / this.greatestCommonDivisor);
 
     // Don't use slack for absolute text length minimum/maximum
     let slackPercentage = this.params.slack / 100;
@@ -209,89 +1542,325 @@ export default class StructureStripContent {
     };
   }
 
+  /**
+   * Compute length status of all sections.
+   * Absolute length bounds of a section take precedence over its weight.
+   * @return {object[]} Status of each section with state ('alright', 'tooShort' or 'tooLong'), rule ('relative' or 'absolute'), gap, progress, length, min and max.
+   */
+  computeSectionStatuses() {
+    const normedLengths = this.computeNormedLengths();
+
+    return this.sections.map(section => {
+      return this.computeAbsoluteStatus(section) || this.computeRelativeStatus(section, normedLengths);
+    });
+  }
+
+  /**
+   * Compute keyword status of all sections.
+   * @return {object[]} Labels of missing required and of found forbidden keywords of each section.
+   */
+  computeKeywordStatuses() {
+    return this.sections.map(section => {
+      const text = section.getText();
+      const keywords = section.getKeywords();
+
+      return {
+        missing: keywords.required
+          .filter(keyword => !keyword.regExp.test(text))
+          .map(keyword => keyword.label),
+        forbidden: keywords.forbidden
+          .filter(keyword => keyword.regExp.test(text))
+          .map(keyword => keyword.label)
+      };
+    });
+  }
+
+  /**
+   * Compute readability status of all sections against the target ranges.
+   * @return {object[][]} Violated targets of each section with type and value.
+   */
+  computeReadabilityStatuses() {
+    const targets = this.params.readability;
+
+    return this.sections.map(section => {
+      const metrics = StructureStripReadability.computeMetrics(section.getReadabilityCounts(), this.params.languageTag);
+      if (!metrics) {
+        return [];
+      }
+
+      return [
+        {value: metrics.averageSentenceLength, min: targets.sentenceLengthMin, max: targets.sentenceLengthMax, tooLow: 'sentencesTooShort', tooHigh: 'sentencesTooLong'},
+        {value: metrics.longWordRatio, min: targets.longWordRatioMin, max: targets.longWordRatioMax, tooLow: 'tooFewLongWords', tooHigh: 'tooManyLongWords'},
+        {value: metrics.readingEase, min: targets.readingEaseMin, max: targets.readingEaseMax, tooLow: 'readingEaseTooLow', tooHigh: 'readingEaseTooHigh'}
+      ]
+        .filter(metric => metric.value !== null)
+        .map(metric => {
+          if (typeof metric.min === 'number' && metric.value < metric.min) {
+            return {type: metric.tooLow, value: metric.value};
+          }
+          else if (typeof metric.max === 'number' && metric.value > metric.max) {
+            return {type: metric.tooHigh, value: metric.value};
+          }
+          return null;
+        })
+        .filter(status => status !== null);
+    });
+  }
+
+  /**
+   * Compute length status of section relative to the reference section.
+   * @param {StructureStripSection} section Section.
+   * @param {object} normedLengths Normed min and max length.
+   * @return {object} Status with state, rule, gap, progress, length, min and max.
+   */
+  computeRelativeStatus(section, normedLengths) {
+    const length = section.getLength();
+    const normedLength = length / section.getWeight();
+    const min = Math.round(normedLengths.min * section.getWeight());
+    const max = Math.round(normedLengths.max * section.getWeight());
+
+    if (normedLength > normedLengths.max) {
+
+      // Too long compared to reference
+      const gap = Math.round((normedLength - normedLengths.max) * section.getWeight());
+      if (gap !== 0) {
+        return {
+          state: 'tooLong',
+          rule: 'relative',
+          gap: gap,
+          progress: (normedLength / normedLengths.max) * 100,
+          length: length,
+          min: min,
+          max: max
+        };
+      }
+    }
+    else if (normedLength < normedLengths.min) {
+
+      // Too short compared to reference
+      const gap = Math.round((normedLengths.min - normedLength) * section.getWeight());
+      if (gap !== 0) {
+        return {
+          state: 'tooShort',
+          rule: 'relative',
+          gap: gap,
+          progress: (normedLength / normedLengths.min) * 100,
+          length: length,
+          min: min,
+          max: max
+        };
+      }
+    }
+
+    // Alright or tiny gap caused by tiny text lengths
+    return {
+      state: 'alright',
+      rule: 'relative',
+      gap: 0,
+      progress: 100,
+      length: length,
+      min: min,
+      max: max
+    };
+  }
+
+  /**
+   * Compute length status of section regarding its absolute length bounds.
+   * @param {StructureStripSection} section Section.
+   * @return {object|null} Status with state, rule, gap, progress, length, min and max or null if within bounds.
+   */
+  computeAbsoluteStatus(section) {
+    const length = section.getLength();
+    const bounds = section.getLengthBounds();
+
+    if (length < bounds.min) {
+      return {
+        state: 'tooShort',
+        rule: 'absolute',
+        gap: bounds.min - length,
+        progress: (length / bounds.min) * 100,
+        length: length,
+        min: bounds.min,
+        max: bounds.max
+      };
+    }
+    else if (length > bounds.max) {
+      return {
+        state: 'tooLong',
+        rule: 'absolute',
+        gap: length - bounds.max,
+        progress: (bounds.max === 0) ? 200 : (length / bounds.max) * 100,
+        length: length,
+        min: bounds.min,
+        max: bounds.max
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Build feedback texts.
    * @param {object} textTemplates Texts.
    * @param {string} textTemplates.alright Text for good section length.
    * @param {string} textTemplates.tooLong Text for section that is too long.
    * @param {string} textTemplates.tooShort Text for section that is too short.
+   * @param {string} textTemplates.tooLongAbsolute Text for section that exceeds its maximum length.
+   * @param {string} textTemplates.tooShortAbsolute Text for section that falls below its minimum length.
+   * @param {object} [params={}] Parameters.
+   * @param {boolean} [params.useSectionTexts=false] If true, texts set for a section replace the templates.
    * @return {string[]} Feedback texts.
    */
-  buildFeedbackTexts(textTemplates) {
-    const normedLengths = this.computeNormedLengths();
-    const feedbackTexts = [];
-    this.sections.forEach(section => {
-      const normedLength = section.getText().length / section.getWeight();
+  buildFeedbackTexts(textTemplates, params = {}) {
+    return this.computeSectionStatuses().map((status, index) => {
+      if (status.state === 'alright') {
+        return textTemplates.alright;
+      }
 
-      if (normedLength > normedLengths.max) {
+      const section = this.sections[index];
+      const template = (params.useSectionTexts && section.getFeedbackTexts()[status.state]) ||
+        textTemplates[(status.rule === 'absolute') ? `${status.state}Absolute` : status.state];
 
-        // Too long compared to reference
-        const gap = Math.round((normedLength - normedLengths.max) * section.getWeight());
-        if (gap === 0) {
-          // Compensate for tiny text lengths
-          feedbackTexts.push(null);
-        }
-        else {
-          feedbackTexts.push(
-            textTemplates.tooLong.replace(/@title/g, section.getTitle()).replace(/@chars/g, gap)
-          );
-        }
-      }
-      else if (normedLength < normedLengths.min) {
+      return this.fillLengthTemplate(template, section, index, status);
+    });
+  }
 
-        // To short compared to reference
-        const gap = Math.round((normedLengths.min - normedLength) * section.getWeight());
-        if (gap === 0) {
-          // Compensate for tiny text lengths
-          feedbackTexts.push(null);
-        }
-        else {
-          feedbackTexts.push(
-            textTemplates.tooShort.replace(/@title/g, section.getTitle()).replace(/@chars/g, gap)
-          );
-        }
+  /**
+   * Build feedback texts for the total length of groups of sub-sections.
+   * @param {object} textTemplates Texts.
+   * @param {string} [textTemplates.alright] Text for good group length.
+   * @param {string} textTemplates.tooLong Text for group that is too long.
+   * @param {string} textTemplates.tooShort Text for group that is too short.
+   * @param {object} [params={}] Parameters.
+   * @param {boolean} [params.useSectionTexts=false] If true, texts set for a group replace the templates.
+   * @return {string[]} Feedback texts.
+   */
+  buildGroupFeedbackTexts(textTemplates, params = {}) {
+    const normedLengths = this.computeNormedLengths();
+
+    return this.groups.map(group => {
+      const status = this.computeRelativeStatus(group, normedLengths);
+      if (status.state === 'alright') {
+        return textTemplates.alright;
       }
-      else {
 
-        // Alright
-        feedbackTexts.push(textTemplates.alright);
+      const template = (params.useSectionTexts && group.getFeedbackTexts()[status.state]) ||
+        textTemplates[status.state];
+
+      // Groups are numbered like their first sub-section
+      return this.fillLengthTemplate(template, group, this.sections.indexOf(group.sections[0]), status);
+    });
+  }
+
+  /**
+   * Fill template of length feedback.
+   * A number directly followed by @unit gets the unit in the matching plural form,
+   * other occurrences of @unit match the number of missing or excess units.
+   * @param {string} template Template.
+   * @param {StructureStripSection|StructureStripGroup} section Section or group.
+   * @param {number} index Index of section.
+   * @param {object} status Status with gap, progress, length, min and max.
+   * @return {string} Text.
+   */
+  fillLengthTemplate(template, section, index, status) {
+    const values = {
+      title: section.getTitle(),
+      section: index + 1,
+      chars: status.gap,
+      current: status.length,
+      min: status.min,
+      max: (isFinite(status.max)) ? status.max : '∞',
+      percent: Math.round(status.progress),
+      unit: this.getUnitLabel(status.gap)
+    };
+
+    return template.replace(/@(title|section|chars|current|min|max|percent|unit)(\s+@unit)?/g, (match, name, unit) => {
+      if (!unit) {
+        return values[name];
       }
+
+      const count = (typeof values[name] === 'number') ? values[name] : status.gap;
+      return `${values[name]}${unit.replace('@unit', this.getUnitLabel(count))}`;
     });
+  }
 
-    return feedbackTexts;
+  /**
+   * Get name of length unit in plural form matching a number.
+   * @param {number} count Number of units.
+   * @return {string} Name of length unit.
+   */
+  getUnitLabel(count) {
+    const forms = {
+      characters: this.params.l10n.unitCharacters,
+      charactersNoSpaces: this.params.l10n.unitCharactersNoSpaces,
+      words: this.params.l10n.unitWords,
+      sentences: this.params.l10n.unitSentences
+    }[this.params.lengthUnit] || this.params.l10n.unitCharacters;
+
+    return Util.selectPluralForm(forms, count, this.params.languageTag);
   }
 
   /**
-   * Build progress values.
-   * @return {number[]} Progress values.
+   * Build keyword feedback texts.
+   * @param {object} textTemplates Texts.
+   * @param {string} textTemplates.missingWords Text for missing required keywords.
+   * @param {string} textTemplates.forbiddenWords Text for forbidden keywords that were found.
+   * @return {string[][]} Feedback texts of each section.
    */
-  buildProgresses() {
-    const normedLengths = this.computeNormedLengths();
+  buildKeywordFeedbackTexts(textTemplates) {
+    return this.computeKeywordStatuses().map((status, index) => {
+      return ['missing', 'forbidden']
+        .filter(type => status[type].length > 0)
+        .map(type => {
+          const template = (type === 'missing') ? textTemplates.missingWords : textTemplates.forbiddenWords;
 
-    return this.sections.map(section => {
-      const normedLength = section.getText().length / section.getWeight();
+          // Labels are decoded keywords, but feedback texts are HTML
+          return template
+            .replace(/@title/g, this.sections[index].getTitle())
+            .replace(/@words/g, status[type].map(label => Util.htmlEncode(label)).join(', '));
+        });
+    });
+  }
 
-      if (normedLength > normedLengths.max) {
+  /**
+   * Build readability feedback texts.
+   * @param {object} textTemplates Texts for each type of violated target.
+   * @return {string[][]} Feedback texts of each section.
+   */
+  buildReadabilityFeedbackTexts(textTemplates) {
+    return this.computeReadabilityStatuses().map((statuses, index) => {
+      return statuses.map(status => {
+        return textTemplates[status.type]
+          .replace(/@title/g, this.sections[index].getTitle())
+          .replace(/@value/g, status.value);
+      });
+    });
+  }
 
-        const gap = Math.round((normedLength - normedLengths.max) * section.getWeight());
-        if (gap === 0) {
-          return 100;
-        }
+  /**
+   * Build progress values.
+   * @return {number[]} Progress values.
+   */
+  buildProgresses() {
+    return this.computeSectionStatuses().map(status => status.progress);
+  }
 
-        return (normedLength / normedLengths.max) * 100;
-      }
-      else if (normedLength < normedLengths.min) {
-        const gap = Math.round((normedLengths.min - normedLength) * section.getWeight());
-        if (gap === 0) {
-          return 100;
-        }
+  /**
+   * Get number of sections.
+   * @return {number} Number of sections.
+   */
+  getNumberOfSections() {
+    return this.sections.length;
+  }
 
-        return (normedLength / normedLengths.min) * 100;
-      }
-      else {
-        return 100;
-      }
-    });
+  /**
+   * Get number of sections with text within the length range.
+   * @return {number} Number of sections within the length range.
+   */
+  getNumberOfSectionsWithinRange() {
+    return this.computeSectionStatuses()
+      .filter((status, index) => status.state === 'alright' && this.sections[index].getLength() > 0)
+      .length;
   }
 
   /**
@@ -303,16 +1872,50 @@ export default class StructureStripContent {
       return;
     }
 
+    this.disableSections();
+
     this.sections.forEach(section => {
-      section.disable();
+      section.showRubric();
     });
 
     let feedbackTexts = this.buildFeedbackTexts({
       alright: null,
       tooLong: this.params.l10n.sectionTooLong,
-      tooShort: this.params.l10n.sectionTooShort
+      tooShort: this.params.l10n.sectionTooShort,
+      tooLongAbsolute: this.params.l10n.sectionTooLongAbsolute,
+      tooShortAbsolute: this.params.l10n.sectionTooShortAbsolute
+    }, {useSectionTexts: true});
+
+    const keywordFeedbackTexts = this.buildKeywordFeedbackTexts({
+      missingWords: this.params.l10n.sectionMissingWords,
+      forbiddenWords: this.params.l10n.sectionForbiddenWords
+    });
+
+    const readabilityFeedbackTexts = this.buildReadabilityFeedbackTexts({
+      sentencesTooShort: this.params.l10n.sectionSentencesTooShort,
+      sentencesTooLong: this.params.l10n.sectionSentencesTooLong,
+      tooFewLongWords: this.params.l10n.sectionTooFewLongWords,
+      tooManyLongWords: this.params.l10n.sectionTooManyLongWords,
+      readingEaseTooLow: this.params.l10n.sectionReadingEaseTooLow,
+      readingEaseTooHigh: this.params.l10n.sectionReadingEaseTooHigh
     });
 
+    const groupFeedbackTexts = this.buildGroupFeedbackTexts({
+      alright: null,
+      tooLong: this.params.l10n.sectionTooLong,
+      tooShort: this.params.l10n.sectionTooShort
+    }, {useSectionTexts: true});
+
+    // Keep feedback of each section together, feedback of a group precedes its sub-sections
+    feedbackTexts = feedbackTexts.reduce((texts, text, index) => {
+      const group = this.getGroup(this.sections[index]);
+      if (group && this.sections.indexOf(group.sections[0]) === index) {
+        texts = texts.concat([groupFeedbackTexts[this.groups.indexOf(group)]]);
+      }
+
+      return texts.concat([text], keywordFeedbackTexts[index], readabilityFeedbackTexts[index]);
+    }, []);
+
     // Remove empty feedback
     feedbackTexts = feedbackTexts.filter(text => text !== null);
     if (feedbackTexts.length === 0) {
@@ -332,4 +1935,59 @@ export default class StructureStripContent {
 
     return feedbackTextHTML;
   }
+
+  /**
+   * Determine whether id belongs to an instance of a section definition.
+   * @param {string} id Id to check.
+   * @param {string} sectionId Id of section definition.
+   * @return {boolean} True, if id belongs to an instance of the section definition.
+   */
+  static isInstanceId(id, sectionId) {
+    return typeof id === 'string' &&
+      (id === sectionId || id.indexOf(`${sectionId}${StructureStripContent.INSTANCE_SEPARATOR}`) === 0);
+  }
+
+  /**
+   * Determine whether section definition has sub-sections.
+   * @param {object} section Section definition.
+   * @return {boolean} True, if section definition has sub-sections.
+   */
+  static hasChildren(section) {
+    return Array.isArray(section.children) && section.children.length > 0;
+  }
+
+  /**
+   * Get definitions of all sections that students write into.
+   * Sections with sub-sections are replaced by their sub-sections.
+   * @param {object[]} sections Section definitions.
+   * @return {object[]} Section definitions.
+   */
+  static getWritableDefinitions(sections) {
+    return sections.reduce((definitions, section) => {
+      return definitions.concat(StructureStripContent.hasChildren(section) ? section.children : [section]);
+    }, []);
+  }
+
+  /**
+   * Get minimum and maximum number of instances of a section definition.
+   * @param {object} section Section definition.
+   * @return {object} Minimum and maximum number of instances.
+   */
+  static getInstanceBounds(section) {
+    if (!section.repeatable) {
+      return {min: 1, max: 1};
+    }
+
+    const min = Math.max(1, section.repeatMin || 1);
+    return {
+      min: min,
+      max: (typeof section.repeatMax === 'number') ? Math.max(min, section.repeatMax) : Number.POSITIVE_INFINITY
+    };
+  }
 }
+
+/** @constant {number} Pause after typing that ends a change to be undone */
+StructureStripContent.TYPING_COMMIT_DELAY_MS = 1000;
+
+/** @constant {string} Separates id of section definition and instance number */
+StructureStripContent.INSTANCE_SEPARATOR = '#';
@@ -0,0 +1,122 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing the list of earlier drafts that can be restored */
+export default class StructureStripDraftHistory {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {object[]} params.snapshots Snapshots with date and state, latest first.
+   * @param {string} [params.languageTag] Language tag used for formatting dates.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      snapshots: [],
+      l10n: {
+        noDrafts: 'There are no earlier versions yet.',
+        restore: 'Restore'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      isRestorable: () => true,
+      onRestored: () => {}
+    }, callbacks);
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-draft-history');
+
+    // Only snapshots with text are worth restoring
+    const snapshots = this.params.snapshots
+      .map(snapshot => {
+        return {
+          date: snapshot.date,
+          sections: (snapshot.state.sections || []).filter(section => (section.text || '').trim() !== '')
+        };
+      })
+      .filter(snapshot => snapshot.sections.length > 0);
+
+    if (snapshots.length === 0) {
+      const message = document.createElement('div');
+      message.classList.add('h5p-structure-strip-draft-history-message');
+      message.innerText = this.params.l10n.noDrafts;
+      this.content.appendChild(message);
+      return;
+    }
+
+    snapshots.forEach(snapshot => {
+      this.content.appendChild(this.buildSnapshot(snapshot));
+    });
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Build DOM for snapshot.
+   * @param {object} snapshot Snapshot with date and sections.
+   * @return {HTMLElement} DOM for snapshot.
+   */
+  buildSnapshot(snapshot) {
+    const snapshotDOM = document.createElement('div');
+    snapshotDOM.classList.add('h5p-structure-strip-draft-history-snapshot');
+
+    const date = document.createElement('div');
+    date.classList.add('h5p-structure-strip-draft-history-date');
+    date.innerText = StructureStripDraftHistory.formatDate(snapshot.date, this.params.languageTag);
+    snapshotDOM.appendChild(date);
+
+    const list = document.createElement('ul');
+    list.classList.add('h5p-structure-strip-draft-history-sections');
+    snapshotDOM.appendChild(list);
+
+    snapshot.sections.forEach(section => {
+      const item = document.createElement('li');
+      item.classList.add('h5p-structure-strip-draft-history-section');
+
+      const title = document.createElement('div');
+      title.classList.add('h5p-structure-strip-draft-history-section-title');
+      title.innerText = section.title || '';
+      item.appendChild(title);
+
+      const text = document.createElement('div');
+      text.classList.add('h5p-structure-strip-draft-history-section-text');
+      text.innerText = section.text;
+      item.appendChild(text);
+
+      const button = document.createElement('button');
+      button.classList.add('h5p-structure-strip-draft-history-button-restore');
+      button.innerText = this.params.l10n.restore;
+      button.disabled = !this.callbacks.isRestorable(section);
+      button.addEventListener('click', () => {
+        this.callbacks.onRestored(section, snapshot.date);
+      });
+      item.appendChild(button);
+
+      list.appendChild(item);
+    });
+
+    return snapshotDOM;
+  }
+
+  /**
+   * Format date of snapshot.
+   * @param {string} date Date in ISO 8601 format.
+   * @param {string} [languageTag] Language tag.
+   * @return {string} Formatted date.
+   */
+  static formatDate(date, languageTag) {
+    try {
+      return new Date(date).toLocaleString(languageTag);
+    }
+    catch (error) {
+      // Language tag may not be supported
+      return new Date(date).toLocaleString();
+    }
+  }
+}
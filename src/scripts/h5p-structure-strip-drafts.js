@@ -0,0 +1,155 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class for keeping snapshots of the state in the browser's local storage */
+export default class StructureStripDrafts {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {number|string} params.contentId Id of content that drafts belong to.
+   * @param {string} [params.subContentId] Id of subcontent, e.g. inside Course Presentation.
+   * @param {number|string} [params.userId] Id of user if the platform provides one.
+   * @param {number} [params.maxSnapshots] Maximum number of snapshots kept.
+   */
+  constructor(params = {}) {
+    this.params = Util.extend({
+      maxSnapshots: StructureStripDrafts.MAX_SNAPSHOTS
+    }, params);
+
+    this.snapshots = this.load();
+  }
+
+  /**
+   * Determine whether drafts can be stored.
+   * @return {boolean} True, if drafts can be stored.
+   */
+  isAvailable() {
+    return this.params.contentId !== undefined && this.params.contentId !== null &&
+      StructureStripDrafts.isStorageAvailable();
+  }
+
+  /**
+   * Get key that drafts are stored with.
+   * @return {string} Storage key.
+   */
+  getStorageKey() {
+    // Several instances of the same content or several users may share a browser
+    const ids = [this.params.contentId, this.params.subContentId, this.params.userId]
+      .filter(id => id !== undefined && id !== null && id !== '');
+
+    return `${StructureStripDrafts.STORAGE_KEY_PREFIX}${ids.join('-')}`;
+  }
+
+  /**
+   * Load snapshots from local storage.
+   * @return {object[]} Snapshots with date and state.
+   */
+  load() {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(this.getStorageKey()));
+      return (stored && Array.isArray(stored.snapshots)) ? stored.snapshots : [];
+    }
+    catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save snapshot of state unless its texts did not change since the last one.
+   * @param {object} state State as returned by getCurrentState.
+   * @return {boolean} True, if snapshot was saved.
+   */
+  save(state) {
+    if (!state || !StructureStripDrafts.hasWrittenText(state) || !this.isAvailable()) {
+      return false;
+    }
+
+    const latestState = this.getLatestState();
+    if (latestState && StructureStripDrafts.hasSameTexts(latestState, state)) {
+      return false;
+    }
+
+    this.snapshots.push({
+      date: new Date().toISOString(),
+      state: state
+    });
+    this.snapshots = this.snapshots.slice(-this.params.maxSnapshots);
+
+    try {
+      window.localStorage.setItem(this.getStorageKey(), JSON.stringify({snapshots: this.snapshots}));
+    }
+    catch (error) {
+      // Storage may be full, snapshots are kept for this session anyway
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get snapshots.
+   * @return {object[]} Snapshots with date and state, latest first.
+   */
+  getSnapshots() {
+    return this.snapshots.slice().reverse();
+  }
+
+  /**
+   * Get state of latest snapshot.
+   * @return {object|null} State or null if there is no snapshot.
+   */
+  getLatestState() {
+    return (this.snapshots.length > 0) ? this.snapshots[this.snapshots.length - 1].state : null;
+  }
+
+  /**
+   * Determine whether local storage can be used.
+   * @return {boolean} True, if local storage can be used.
+   */
+  static isStorageAvailable() {
+    // Accessing local storage may throw if it is blocked, e.g. in private mode
+    try {
+      const key = `${StructureStripDrafts.STORAGE_KEY_PREFIX}test`;
+      window.localStorage.setItem(key, key);
+      window.localStorage.removeItem(key);
+      return true;
+    }
+    catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Determine whether a state contains any text written by the student.
+   * @param {object} state State.
+   * @return {boolean} True, if any section or unassigned text is not empty.
+   */
+  static hasWrittenText(state) {
+    return (state.sections || []).concat(state.unassigned || []).some(section => {
+      return typeof section.text === 'string' && section.text.trim() !== '';
+    });
+  }
+
+  /**
+   * Determine whether two states contain the same texts.
+   * @param {object} stateA State.
+   * @param {object} stateB State.
+   * @return {boolean} True, if both states contain the same texts.
+   */
+  static hasSameTexts(stateA, stateB) {
+    const getTexts = state => JSON.stringify((state.sections || []).map(section => {
+      return [section.id, section.text, section.html];
+    }));
+
+    return getTexts(stateA) === getTexts(stateB);
+  }
+}
+
+/** @constant {string} Prefix of local storage key, followed by content, subcontent and user id */
+StructureStripDrafts.STORAGE_KEY_PREFIX = 'h5p-structure-strip-drafts-';
+
+/** @constant {number} Number of snapshots kept by default */
+StructureStripDrafts.MAX_SNAPSHOTS = 10;
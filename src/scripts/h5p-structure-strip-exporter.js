@@ -0,0 +1,510 @@
+/* global ArrayBuffer, DataView, Uint8Array */
+import Util from './h5p-structure-strip-util';
+
+/** Class for exporting the structured text to files */
+export default class StructureStripExporter {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {string} params.title Title of the task.
+   * @param {string} [params.description] Task description as HTML.
+   * @param {object[]} params.sections Sections with title, text and html.
+   */
+  constructor(params = {}) {
+    this.params = Util.extend({
+      title: '',
+      description: '',
+      sections: []
+    }, params);
+
+    this.description = Util.sanitizeHTML(this.params.description, StructureStripExporter.DESCRIPTION_TAGS);
+  }
+
+  /**
+   * Build document and let the browser download it.
+   * @param {string} format docx|markdown|html|text.
+   */
+  download(format) {
+    const formats = {
+      docx: {
+        build: () => this.buildDOCX(),
+        extension: 'docx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      },
+      markdown: {
+        build: () => this.buildMarkdown(),
+        extension: 'md',
+        mimeType: 'text/markdown;charset=utf-8'
+      },
+      html: {
+        build: () => this.buildHTML(),
+        extension: 'html',
+        mimeType: 'text/html;charset=utf-8'
+      },
+      text: {
+        build: () => this.buildText(),
+        extension: 'txt',
+        mimeType: 'text/plain;charset=utf-8'
+      }
+    };
+
+    if (!formats[format]) {
+      return;
+    }
+
+    const blob = new Blob([formats[format].build()], {type: formats[format].mimeType});
+    const fileName = `${this.buildFileName()}.${formats[format].extension}`;
+
+    // IE11
+    if (window.navigator.msSaveOrOpenBlob) {
+      window.navigator.msSaveOrOpenBlob(blob, fileName);
+      return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+    }, 0);
+  }
+
+  /**
+   * Build file name from title.
+   * @return {string} File name without extension.
+   */
+  buildFileName() {
+    const fileName = this.params.title
+      .replace(/[\\/:*?"<>|]/g, '')
+      .replace(/\s+/g, '_')
+      .trim();
+
+    return fileName || 'structure-strip';
+  }
+
+  /**
+   * Build plain text document.
+   * @return {string} Plain text.
+   */
+  buildText() {
+    const parts = [this.params.title];
+
+    const description = Util.htmlToText(this.description);
+    if (description !== '') {
+      parts.push(description);
+    }
+
+    this.params.sections.forEach(section => {
+      parts.push(`${section.title}\n${section.text}`);
+    });
+
+    return `${parts.join('\n\n')}\n`;
+  }
+
+  /**
+   * Build Markdown document.
+   * @return {string} Markdown.
+   */
+  buildMarkdown() {
+    const parts = [`# ${this.params.title}`];
+
+    const description = StructureStripExporter.htmlToMarkdown(this.description);
+    if (description !== '') {
+      parts.push(description);
+    }
+
+    this.params.sections.forEach(section => {
+      parts.push(`## ${section.title}\n\n${StructureStripExporter.htmlToMarkdown(section.html)}`);
+    });
+
+    return `${parts.join('\n\n')}\n`;
+  }
+
+  /**
+   * Build HTML document.
+   * @return {string} HTML.
+   */
+  buildHTML() {
+    const title = Util.htmlEncode(this.params.title);
+
+    const sections = this.params.sections
+      .map(section => `<h2>${Util.htmlEncode(section.title)}</h2>${Util.sanitizeHTML(section.html)}`)
+      .join('');
+
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${title}</title>`,
+      '</head>',
+      '<body>',
+      `<h1>${title}</h1>`,
+      (this.description !== '') ? `<div>${this.description}</div>` : '',
+      sections,
+      '</body>',
+      '</html>'
+    ].join('\n');
+  }
+
+  /**
+   * Build DOCX document.
+   * @return {Uint8Array} DOCX file.
+   */
+  buildDOCX() {
+    const paragraphs = [StructureStripExporter.buildDOCXParagraph(this.params.title, 'Title')];
+
+    if (this.description !== '') {
+      paragraphs.push(StructureStripExporter.htmlToDOCXParagraphs(this.description));
+    }
+
+    this.params.sections.forEach(section => {
+      paragraphs.push(StructureStripExporter.buildDOCXParagraph(section.title, 'Heading1'));
+      paragraphs.push(StructureStripExporter.htmlToDOCXParagraphs(section.html));
+    });
+
+    const files = [
+      {
+        name: '[Content_Types].xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+          '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+          '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+          '</Relationships>'
+      },
+      {
+        name: 'word/_rels/document.xml.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+          '</Relationships>'
+      },
+      {
+        name: 'word/styles.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/>' +
+          '<w:pPr><w:spacing w:after="120"/></w:pPr></w:style>' +
+          '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/>' +
+          '<w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="48"/></w:rPr></w:style>' +
+          '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/>' +
+          '<w:pPr><w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>' +
+          '</w:styles>'
+      },
+      {
+        name: 'word/document.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          `<w:body>${paragraphs.join('')}</w:body>` +
+          '</w:document>'
+      }
+    ];
+
+    return StructureStripExporter.buildZip(files.map(file => {
+      return {
+        name: file.name,
+        data: StructureStripExporter.encodeUTF8(file.content)
+      };
+    }));
+  }
+
+  /**
+   * Convert HTML to Markdown.
+   * @param {string} [html=''] HTML.
+   * @return {string} Markdown.
+   */
+  static htmlToMarkdown(html = '') {
+    const convert = (node, listPrefix) => {
+      return [].slice.call(node.childNodes).reduce((markdown, child) => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          return markdown + child.nodeValue.replace(/([\\*_#`[\]])/g, '\\$1');
+        }
+
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+          return markdown;
+        }
+
+        const tagName = child.tagName.toLowerCase();
+        switch (tagName) {
+          case 'br':
+            return `${markdown}  \n`;
+          case 'strong':
+          case 'b':
+            return `${markdown}**${convert(child)}**`;
+          case 'em':
+          case 'i':
+            return `${markdown}*${convert(child)}*`;
+          case 'ul':
+            return `${markdown}${convert(child, () => '- ')}\n`;
+          case 'ol':
+            return `${markdown}${convert(child, (position) => `${position}. `)}\n`;
+          case 'li':
+            return `${markdown}${listPrefix ? listPrefix(StructureStripExporter.getListPosition(child)) : '- '}${convert(child).trim()}\n`;
+          case 'p':
+          case 'div':
+          case 'h2':
+          case 'h3':
+            return `${markdown}${convert(child).trim()}\n\n`;
+          case 'hr':
+            return `${markdown}---\n\n`;
+          default:
+            return markdown + convert(child);
+        }
+      }, '');
+    };
+
+    return convert(new DOMParser().parseFromString(html, 'text/html').body)
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Get position of list item within its list.
+   * @param {HTMLElement} item List item.
+   * @return {number} Position starting at 1.
+   */
+  static getListPosition(item) {
+    return [].slice.call(item.parentNode.children).indexOf(item) + 1;
+  }
+
+  /**
+   * Build DOCX paragraph.
+   * @param {string} text Text.
+   * @param {string} [style] Paragraph style id.
+   * @return {string} WordprocessingML paragraph.
+   */
+  static buildDOCXParagraph(text, style) {
+    const properties = (style) ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${properties}${StructureStripExporter.buildDOCXRun(text, {})}</w:p>`;
+  }
+
+  /**
+   * Build DOCX run.
+   * @param {string} text Text.
+   * @param {object} format Format with bold, italic and underline flags.
+   * @return {string} WordprocessingML run.
+   */
+  static buildDOCXRun(text, format) {
+    const properties = [
+      (format.bold) ? '<w:b/>' : '',
+      (format.italic) ? '<w:i/>' : '',
+      (format.underline) ? '<w:u w:val="single"/>' : ''
+    ].join('');
+
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}` +
+      `<w:t xml:space="preserve">${Util.htmlEncode(StructureStripExporter.removeInvalidXMLCharacters(text))}</w:t></w:r>`;
+  }
+
+  /**
+   * Remove control characters that XML 1.0 does not allow, even if escaped.
+   * @param {string} text Text.
+   * @return {string} Text without control characters except tab, line feed and carriage return.
+   */
+  static removeInvalidXMLCharacters(text) {
+    return text.split('').filter(character => {
+      const code = character.charCodeAt(0);
+      return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+    }).join('');
+  }
+
+  /**
+   * Convert HTML to DOCX paragraphs.
+   * @param {string} [html=''] HTML.
+   * @return {string} WordprocessingML paragraphs.
+   */
+  static htmlToDOCXParagraphs(html = '') {
+    const paragraphs = [];
+    let runs = [];
+
+    const closeParagraph = () => {
+      if (runs.length > 0) {
+        paragraphs.push(`<w:p>${runs.join('')}</w:p>`);
+      }
+      runs = [];
+    };
+
+    const convert = (node, format, listPrefix) => {
+      [].slice.call(node.childNodes).forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          if (child.nodeValue.trim() !== '' || runs.length > 0) {
+            runs.push(StructureStripExporter.buildDOCXRun(child.nodeValue, format));
+          }
+          return;
+        }
+
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+          return;
+        }
+
+        const tagName = child.tagName.toLowerCase();
+        if (tagName === 'br') {
+          runs.push('<w:r><w:br/></w:r>');
+        }
+        else if (tagName === 'strong' || tagName === 'b') {
+          convert(child, Util.extend({}, format, {bold: true}));
+        }
+        else if (tagName === 'em' || tagName === 'i') {
+          convert(child, Util.extend({}, format, {italic: true}));
+        }
+        else if (tagName === 'u') {
+          convert(child, Util.extend({}, format, {underline: true}));
+        }
+        else if (tagName === 'ul' || tagName === 'ol') {
+          closeParagraph();
+          convert(child, format, (tagName === 'ul') ? () => '• ' : (position) => `${position}. `);
+        }
+        else if (tagName === 'li') {
+          closeParagraph();
+          runs.push(StructureStripExporter.buildDOCXRun(listPrefix ? listPrefix(StructureStripExporter.getListPosition(child)) : '• ', format));
+          convert(child, format);
+          closeParagraph();
+        }
+        else if (['p', 'div', 'h2', 'h3'].indexOf(tagName) !== -1) {
+          closeParagraph();
+          convert(child, format);
+          closeParagraph();
+        }
+        else {
+          convert(child, format);
+        }
+      });
+    };
+
+    convert(new DOMParser().parseFromString(html, 'text/html').body, {});
+    closeParagraph();
+
+    return paragraphs.join('');
+  }
+
+  /**
+   * Encode string as UTF-8.
+   * @param {string} text Text.
+   * @return {Uint8Array} UTF-8 bytes.
+   */
+  static encodeUTF8(text) {
+    // Lone surrogates are replaced instead of causing an error
+    return new TextEncoder().encode(text);
+  }
+
+  /**
+   * Compute CRC-32 checksum.
+   * @param {Uint8Array} bytes Bytes.
+   * @return {number} Checksum.
+   */
+  static computeCRC32(bytes) {
+    if (!StructureStripExporter.crcTable) {
+      StructureStripExporter.crcTable = [];
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        StructureStripExporter.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = StructureStripExporter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Build uncompressed ZIP archive.
+   * @param {object[]} files Files with name and data (Uint8Array).
+   * @return {Uint8Array} ZIP archive.
+   */
+  static buildZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    // DOS date and time
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    files.forEach(file => {
+      const name = StructureStripExporter.encodeUTF8(file.name);
+      const crc = StructureStripExporter.computeCRC32(file.data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // Version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // Stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, file.data.length, true);
+      central.setUint32(24, file.data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint16(30, 0, true); // Extra field length
+      central.setUint16(32, 0, true); // Comment length
+      central.setUint16(34, 0, true); // Disk number
+      central.setUint16(36, 0, true); // Internal attributes
+      central.setUint32(38, 0, true); // External attributes
+      central.setUint32(42, offset, true);
+      centralParts.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    end.setUint16(20, 0, true);
+
+    const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      zip.set(part, position);
+      position += part.length;
+    });
+
+    return zip;
+  }
+}
+
+/** @constant {string[]} Tags kept from the task description */
+StructureStripExporter.DESCRIPTION_TAGS = Util.RICH_TEXT_TAGS.concat(['h2', 'h3', 'hr']);
@@ -0,0 +1,126 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing a section that is split into sub-sections */
+export default class StructureStripGroup {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {string} params.id Id of section definition.
+   * @param {string} params.title Title.
+   * @param {number} params.weight Weight that is split among the sub-sections.
+   */
+  constructor(params = {}) {
+    this.params = Util.extend({
+      colorBackground: 'rgba(255, 255, 255, 0)',
+      colorText: '#000000',
+      feedbackTexts: {},
+      title: '',
+      weight: 1
+    }, params);
+
+    this.sections = [];
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-group');
+    this.content.style.backgroundColor = this.params.colorBackground;
+    this.content.style.color = this.params.colorText;
+    this.content.setAttribute('role', 'group');
+    this.content.setAttribute('aria-label', this.params.title);
+
+    const header = document.createElement('div');
+    header.classList.add('h5p-structure-strip-group-header');
+    this.content.appendChild(header);
+
+    const title = document.createElement('div');
+    title.classList.add('h5p-structure-strip-group-title');
+    title.innerText = this.params.title;
+    header.appendChild(title);
+
+    if (this.params.feedbackMode === 'whileTyping') {
+      this.status = document.createElement('div');
+      this.status.classList.add('h5p-structure-strip-group-status');
+      header.appendChild(this.status);
+    }
+
+    this.sectionsContainer = document.createElement('div');
+    this.sectionsContainer.classList.add('h5p-structure-strip-group-sections');
+    this.content.appendChild(this.sectionsContainer);
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Add sub-section.
+   * @param {StructureStripSection} section Sub-section.
+   */
+  addSection(section) {
+    this.sections.push(section);
+    this.sectionsContainer.appendChild(section.getDOM());
+  }
+
+  /**
+   * Determine whether section is a sub-section of this group.
+   * @param {StructureStripSection} section Section.
+   * @return {boolean} True, if section is a sub-section of this group.
+   */
+  contains(section) {
+    return this.sections.indexOf(section) !== -1;
+  }
+
+  /**
+   * Get id.
+   * @return {string} Id.
+   */
+  getId() {
+    return this.params.id;
+  }
+
+  /**
+   * Get title.
+   * @return {string} Title.
+   */
+  getTitle() {
+    return this.params.title;
+  }
+
+  /**
+   * Get weight.
+   * @return {number} Weight.
+   */
+  getWeight() {
+    return this.params.weight;
+  }
+
+  /**
+   * Get feedback texts that replace the general ones for this group.
+   * @return {object} Feedback texts by length state, e.g. tooShort.
+   */
+  getFeedbackTexts() {
+    return this.params.feedbackTexts;
+  }
+
+  /**
+   * Get total text length of all sub-sections.
+   * @return {number} Text length.
+   */
+  getLength() {
+    return this.sections.reduce((sum, section) => sum + section.getLength(), 0);
+  }
+
+  /**
+   * Set status text.
+   * @param {string} [text=''] Status text to set.
+   */
+  setStatus(text = '') {
+    if (!this.status) {
+      return;
+    }
+    this.status.innerHTML = text;
+  }
+}
@@ -0,0 +1,78 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing a stack of changes that can be undone and redone */
+export default class StructureStripHistory {
+  /**
+   * @constructor
+   * @param {object} [params={}] Parameters.
+   * @param {number} [params.maxEntries] Maximum number of changes that can be undone.
+   */
+  constructor(params = {}) {
+    this.params = Util.extend({
+      maxEntries: StructureStripHistory.MAX_ENTRIES
+    }, params);
+
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Add change. Changes that were undone cannot be redone anymore.
+   * @param {object} entry Change.
+   */
+  push(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.params.maxEntries) {
+      this.undoStack.shift();
+    }
+
+    this.redoStack = [];
+  }
+
+  /**
+   * Take latest change for undoing.
+   * @return {object|null} Change or null if there is none.
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) {
+      return null;
+    }
+
+    this.redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Take latest undone change for redoing.
+   * @return {object|null} Change or null if there is none.
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) {
+      return null;
+    }
+
+    this.undoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Determine whether a change can be undone.
+   * @return {boolean} True, if a change can be undone.
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Determine whether a change can be redone.
+   * @return {boolean} True, if a change can be redone.
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+}
+
+/** @constant {number} Number of changes that can be undone by default */
+StructureStripHistory.MAX_ENTRIES = 100;
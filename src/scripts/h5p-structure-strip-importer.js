@@ -0,0 +1,566 @@
+/* global DataView, Promise, Uint8Array */
+import Util from './h5p-structure-strip-util';
+
+/** Class for importing a text and splitting it into the sections */
+export default class StructureStripImporter {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {object[]} params.sections Sections with title.
+   * @param {string} [params.lengthUnit] Unit that paragraph lengths are measured in.
+   * @param {string} [params.languageTag] Language tag used for measuring lengths.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      sections: [],
+      lengthUnit: 'characters',
+      l10n: {
+        importInstructions: 'Paste your text or choose a file (.txt, .md or .docx).',
+        importChooseFile: 'Choose file',
+        importFileError: 'The file could not be read.',
+        importProposeSplit: 'Propose split',
+        importAdjustSplit: 'Move the beginnings of the sections to adjust the split. Texts in the sections will be replaced.',
+        importBack: 'Back',
+        importDistribute: 'Distribute text'
+      },
+      a11y: {
+        importInput: 'Text to import',
+        importMoveUp: 'Start @title one paragraph earlier',
+        importMoveDown: 'Start @title one paragraph later'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      getTargetLengths: () => [],
+      buildStatusTexts: () => [],
+      onDistributed: () => {}
+    }, callbacks);
+
+    this.paragraphs = [];
+    this.starts = [];
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-importer');
+
+    this.inputStep = this.buildInputStep();
+    this.content.appendChild(this.inputStep);
+
+    this.splitStep = this.buildSplitStep();
+    this.splitStep.classList.add('h5p-structure-strip-display-none');
+    this.content.appendChild(this.splitStep);
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Build DOM for entering the text.
+   * @return {HTMLElement} DOM for entering the text.
+   */
+  buildInputStep() {
+    const step = document.createElement('div');
+    step.classList.add('h5p-structure-strip-importer-step');
+
+    const instructions = document.createElement('div');
+    instructions.classList.add('h5p-structure-strip-importer-instructions');
+    instructions.innerText = this.params.l10n.importInstructions;
+    step.appendChild(instructions);
+
+    this.textarea = document.createElement('textarea');
+    this.textarea.classList.add('h5p-structure-strip-importer-input');
+    this.textarea.setAttribute('aria-label', this.params.a11y.importInput);
+    this.textarea.addEventListener('input', () => {
+      this.updateProposeButton();
+    });
+    step.appendChild(this.textarea);
+
+    this.message = document.createElement('div');
+    this.message.classList.add('h5p-structure-strip-importer-message');
+    this.message.setAttribute('aria-live', 'polite');
+    step.appendChild(this.message);
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('h5p-structure-strip-importer-buttons');
+    step.appendChild(buttons);
+
+    // Native file input cannot be styled, so it is triggered by a button
+    const fileInput = document.createElement('input');
+    fileInput.classList.add('h5p-structure-strip-display-none');
+    fileInput.setAttribute('type', 'file');
+    fileInput.setAttribute('accept', StructureStripImporter.FILE_EXTENSIONS.map(extension => `.${extension}`).join(','));
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        this.handleFileChosen(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+    buttons.appendChild(fileInput);
+
+    const fileButton = document.createElement('button');
+    fileButton.classList.add('h5p-structure-strip-importer-button');
+    fileButton.classList.add('h5p-structure-strip-importer-button-file');
+    fileButton.innerText = this.params.l10n.importChooseFile;
+    fileButton.addEventListener('click', () => {
+      fileInput.click();
+    });
+    buttons.appendChild(fileButton);
+
+    this.proposeButton = document.createElement('button');
+    this.proposeButton.classList.add('h5p-structure-strip-importer-button');
+    this.proposeButton.classList.add('h5p-structure-strip-importer-button-primary');
+    this.proposeButton.innerText = this.params.l10n.importProposeSplit;
+    this.proposeButton.disabled = true;
+    this.proposeButton.addEventListener('click', () => {
+      this.proposeSplit();
+    });
+    buttons.appendChild(this.proposeButton);
+
+    return step;
+  }
+
+  /**
+   * Build DOM for adjusting the split.
+   * @return {HTMLElement} DOM for adjusting the split.
+   */
+  buildSplitStep() {
+    const step = document.createElement('div');
+    step.classList.add('h5p-structure-strip-importer-step');
+
+    const instructions = document.createElement('div');
+    instructions.classList.add('h5p-structure-strip-importer-instructions');
+    instructions.innerText = this.params.l10n.importAdjustSplit;
+    step.appendChild(instructions);
+
+    this.splitList = document.createElement('ul');
+    this.splitList.classList.add('h5p-structure-strip-importer-sections');
+    step.appendChild(this.splitList);
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('h5p-structure-strip-importer-buttons');
+    step.appendChild(buttons);
+
+    const backButton = document.createElement('button');
+    backButton.classList.add('h5p-structure-strip-importer-button');
+    backButton.innerText = this.params.l10n.importBack;
+    backButton.addEventListener('click', () => {
+      this.splitStep.classList.add('h5p-structure-strip-display-none');
+      this.inputStep.classList.remove('h5p-structure-strip-display-none');
+      this.textarea.focus();
+    });
+    buttons.appendChild(backButton);
+
+    const distributeButton = document.createElement('button');
+    distributeButton.classList.add('h5p-structure-strip-importer-button');
+    distributeButton.classList.add('h5p-structure-strip-importer-button-primary');
+    distributeButton.innerText = this.params.l10n.importDistribute;
+    distributeButton.addEventListener('click', () => {
+      this.callbacks.onDistributed(this.getSectionTexts());
+    });
+    buttons.appendChild(distributeButton);
+
+    return step;
+  }
+
+  /**
+   * Enable propose button if there is text to split.
+   */
+  updateProposeButton() {
+    this.proposeButton.disabled = this.textarea.value.trim() === '';
+  }
+
+  /**
+   * Read text from file into the input field.
+   * @param {File} file File.
+   */
+  handleFileChosen(file) {
+    this.message.innerText = '';
+
+    StructureStripImporter.readFile(file).then(text => {
+      this.textarea.value = text;
+      this.updateProposeButton();
+      this.textarea.focus();
+    }, () => {
+      this.message.innerText = this.params.l10n.importFileError;
+    });
+  }
+
+  /**
+   * Propose split of text based on paragraphs and target lengths of sections.
+   */
+  proposeSplit() {
+    this.paragraphs = StructureStripImporter.splitParagraphs(this.textarea.value).map(text => {
+      return {
+        text: text,
+        length: Util.computeTextLength(text, this.params.lengthUnit, this.params.languageTag)
+      };
+    });
+
+    const totalLength = this.paragraphs.reduce((sum, paragraph) => sum + paragraph.length, 0);
+    this.starts = StructureStripImporter.computeStarts(
+      this.paragraphs.map(paragraph => paragraph.length),
+      this.callbacks.getTargetLengths(totalLength)
+    );
+
+    this.updateSplit();
+
+    this.inputStep.classList.add('h5p-structure-strip-display-none');
+    this.splitStep.classList.remove('h5p-structure-strip-display-none');
+
+    const firstButton = this.splitList.querySelector('button:not([disabled])');
+    if (firstButton) {
+      firstButton.focus();
+    }
+  }
+
+  /**
+   * Get paragraphs of section.
+   * @param {number} index Index of section.
+   * @return {object[]} Paragraphs with text and length.
+   */
+  getParagraphs(index) {
+    const end = (index + 1 < this.starts.length) ? this.starts[index + 1] : this.paragraphs.length;
+    return this.paragraphs.slice(this.starts[index], end);
+  }
+
+  /**
+   * Get texts that sections will receive.
+   * @return {string[]} Text of each section.
+   */
+  getSectionTexts() {
+    return this.params.sections.map((section, index) => {
+      return this.getParagraphs(index).map(paragraph => paragraph.text).join('\n');
+    });
+  }
+
+  /**
+   * Move beginning of section by one paragraph.
+   * @param {number} index Index of section.
+   * @param {number} offset -1 to start earlier, 1 to start later.
+   */
+  moveStart(index, offset) {
+    if (!this.canMoveStart(index, offset)) {
+      return;
+    }
+
+    this.starts[index] += offset;
+    this.updateSplit();
+
+    // Keep focus on the moved boundary
+    const buttons = this.splitList.querySelectorAll('.h5p-structure-strip-importer-section')[index]
+      .querySelectorAll('.h5p-structure-strip-importer-button-move');
+    const button = buttons[(offset < 0) ? 0 : 1];
+    if (!button.disabled) {
+      button.focus();
+    }
+    else {
+      buttons[(offset < 0) ? 1 : 0].focus();
+    }
+  }
+
+  /**
+   * Determine whether beginning of section can be moved without affecting other sections.
+   * @param {number} index Index of section.
+   * @param {number} offset -1 to start earlier, 1 to start later.
+   * @return {boolean} True, if beginning can be moved.
+   */
+  canMoveStart(index, offset) {
+    // First section always starts with the first paragraph
+    if (index === 0) {
+      return false;
+    }
+
+    if (offset < 0) {
+      return this.starts[index] > this.starts[index - 1];
+    }
+
+    const end = (index + 1 < this.starts.length) ? this.starts[index + 1] : this.paragraphs.length;
+    return this.starts[index] < end;
+  }
+
+  /**
+   * Update display of split.
+   */
+  updateSplit() {
+    const statusTexts = this.callbacks.buildStatusTexts(this.params.sections.map((section, index) => {
+      return this.getParagraphs(index).reduce((sum, paragraph) => sum + paragraph.length, 0);
+    }));
+
+    this.splitList.innerHTML = '';
+
+    this.params.sections.forEach((section, index) => {
+      const item = document.createElement('li');
+      item.classList.add('h5p-structure-strip-importer-section');
+
+      const header = document.createElement('div');
+      header.classList.add('h5p-structure-strip-importer-section-header');
+      item.appendChild(header);
+
+      const title = document.createElement('div');
+      title.classList.add('h5p-structure-strip-importer-section-title');
+      title.innerText = section.title;
+      header.appendChild(title);
+
+      if (statusTexts[index]) {
+        const status = document.createElement('div');
+        status.classList.add('h5p-structure-strip-importer-section-status');
+        status.innerHTML = statusTexts[index];
+        header.appendChild(status);
+      }
+
+      [
+        {offset: -1, label: this.params.a11y.importMoveUp, name: 'up'},
+        {offset: 1, label: this.params.a11y.importMoveDown, name: 'down'}
+      ].forEach(move => {
+        const button = document.createElement('button');
+        button.classList.add('h5p-structure-strip-importer-button-move');
+        button.classList.add(`h5p-structure-strip-importer-button-move-${move.name}`);
+        button.setAttribute('aria-label', move.label.replace(/@title/g, section.title));
+        button.setAttribute('title', move.label.replace(/@title/g, section.title));
+        button.disabled = !this.canMoveStart(index, move.offset);
+        button.addEventListener('click', () => {
+          this.moveStart(index, move.offset);
+        });
+        header.appendChild(button);
+      });
+
+      this.getParagraphs(index).forEach(paragraph => {
+        const paragraphDOM = document.createElement('div');
+        paragraphDOM.classList.add('h5p-structure-strip-importer-paragraph');
+        paragraphDOM.innerText = paragraph.text;
+        item.appendChild(paragraphDOM);
+      });
+
+      this.splitList.appendChild(item);
+    });
+  }
+
+  /**
+   * Read text from file.
+   * @param {File} file File.
+   * @return {Promise} Promise resolving with the text of the file.
+   */
+  static readFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (StructureStripImporter.FILE_EXTENSIONS.indexOf(extension) === -1) {
+      return Promise.reject(new Error(`Unsupported file type: ${extension}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.addEventListener('load', () => {
+        resolve(reader.result);
+      });
+      reader.addEventListener('error', () => {
+        reject(reader.error);
+      });
+
+      if (extension === 'docx') {
+        reader.readAsArrayBuffer(file);
+      }
+      else {
+        reader.readAsText(file);
+      }
+    }).then(result => {
+      if (extension === 'docx') {
+        return StructureStripImporter.readDOCX(new Uint8Array(result));
+      }
+      else if (extension === 'md') {
+        return StructureStripImporter.markdownToText(result);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Read text from DOCX document.
+   * @param {Uint8Array} bytes DOCX document.
+   * @return {Promise} Promise resolving with the text of the document.
+   */
+  static readDOCX(bytes) {
+    return StructureStripImporter.extractZipEntry(bytes, 'word/document.xml').then(xml => {
+      const xmlDocument = new DOMParser().parseFromString(xml, 'application/xml');
+      const paragraphs = [].slice.call(xmlDocument.getElementsByTagNameNS(StructureStripImporter.DOCX_NAMESPACE, 'p'));
+
+      return paragraphs
+        .map(paragraph => {
+          return [].slice.call(paragraph.getElementsByTagNameNS(StructureStripImporter.DOCX_NAMESPACE, '*'))
+            .map(element => {
+              if (element.localName === 't') {
+                return element.textContent;
+              }
+              else if (element.localName === 'tab') {
+                return '\t';
+              }
+              else if (element.localName === 'br' || element.localName === 'cr') {
+                return '\n';
+              }
+              return '';
+            })
+            .join('');
+        })
+        .join('\n\n');
+    });
+  }
+
+  /**
+   * Extract file from ZIP archive.
+   * @param {Uint8Array} bytes ZIP archive.
+   * @param {string} name Name of file.
+   * @return {Promise} Promise resolving with the text of the file.
+   */
+  static extractZipEntry(bytes, name) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory record is at the end, followed by an optional comment
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) {
+      end--;
+    }
+    if (end < 0) {
+      return Promise.reject(new Error('No ZIP archive'));
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(position, true) !== 0x02014b50) {
+        break;
+      }
+
+      const method = view.getUint16(position + 10, true);
+      const compressedSize = view.getUint32(position + 20, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const localOffset = view.getUint32(position + 42, true);
+      const entryName = String.fromCharCode.apply(null, bytes.subarray(position + 46, position + 46 + nameLength));
+
+      if (entryName === name) {
+        // Local header has its own lengths of name and extra field
+        const dataOffset = localOffset + 30 +
+          view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+
+        return StructureStripImporter.decompress(bytes.subarray(dataOffset, dataOffset + compressedSize), method);
+      }
+
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return Promise.reject(new Error(`No ${name} in ZIP archive`));
+  }
+
+  /**
+   * Decompress data of ZIP archive entry.
+   * @param {Uint8Array} data Data.
+   * @param {number} method Compression method, 0 for stored and 8 for deflated.
+   * @return {Promise} Promise resolving with the text of the data.
+   */
+  static decompress(data, method) {
+    if (!window.Response || !window.Blob) {
+      return Promise.reject(new Error('Decoding is not supported'));
+    }
+
+    if (method === 0) {
+      return new Response(new Blob([data])).text();
+    }
+
+    // Browsers without DecompressionStream cannot read compressed documents
+    if (method !== 8 || !window.DecompressionStream) {
+      return Promise.reject(new Error(`Compression method ${method} is not supported`));
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new window.DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  }
+
+  /**
+   * Convert markdown to plain text.
+   * @param {string} [markdown=''] Markdown.
+   * @return {string} Text.
+   */
+  static markdownToText(markdown = '') {
+    // Emphasis must not start or end inside a word, e.g. snake_case_name or 2*3*4
+    const word = '0-9A-Za-z\\u00C0-\\u024F\\u0370-\\u03FF\\u0400-\\u04FF_*';
+    const emphasis = delimiter => new RegExp(`(^|[^${word}])(${delimiter})(\\S(?:.*?\\S)??)\\2(?![${word}])`, 'gm');
+
+    return markdown
+      .replace(/^#{1,6}\s+/gm, '')
+      .replace(/^>\s?/gm, '')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(emphasis('\\*\\*|__'), '$1$3')
+      .replace(emphasis('\\*|_'), '$1$3');
+  }
+
+  /**
+   * Split text into paragraphs.
+   * Paragraphs are separated by blank lines, or by line breaks if there are no blank lines.
+   * @param {string} [text=''] Text.
+   * @return {string[]} Paragraphs.
+   */
+  static splitParagraphs(text = '') {
+    text = text.replace(/\r\n?/g, '\n').trim();
+    if (text === '') {
+      return [];
+    }
+
+    if (!/\n\s*\n/.test(text)) {
+      return text.split('\n')
+        .map(paragraph => paragraph.trim())
+        .filter(paragraph => paragraph !== '');
+    }
+
+    // Single line breaks within paragraphs were most likely caused by wrapping
+    return text.split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim().replace(/\s*\n\s*/g, ' '))
+      .filter(paragraph => paragraph !== '');
+  }
+
+  /**
+   * Compute index of first paragraph of each section.
+   * Each paragraph goes to the section that its middle falls into regarding the target lengths.
+   * @param {number[]} paragraphLengths Length of each paragraph.
+   * @param {number[]} targetLengths Target length of each section.
+   * @return {number[]} Index of first paragraph of each section.
+   */
+  static computeStarts(paragraphLengths, targetLengths) {
+    const totalLength = paragraphLengths.reduce((sum, length) => sum + length, 0);
+    const targetTotalLength = targetLengths.reduce((sum, length) => sum + length, 0);
+
+    // Share of the text at which each section ends
+    let targetEnd = 0;
+    const sectionEnds = targetLengths.map(length => {
+      targetEnd += length;
+      return (targetTotalLength === 0) ? 1 : targetEnd / targetTotalLength;
+    });
+
+    let position = 0;
+    const sectionIndexes = paragraphLengths.map(length => {
+      const middle = (totalLength === 0) ? 0 : (position + length / 2) / totalLength;
+      position += length;
+
+      let index = 0;
+      while (index < sectionEnds.length - 1 && middle > sectionEnds[index]) {
+        index++;
+      }
+      return index;
+    });
+
+    return targetLengths.map((length, index) => {
+      return sectionIndexes.filter(sectionIndex => sectionIndex < index).length;
+    });
+  }
+}
+
+/** @constant {string[]} Extensions of files that text can be imported from */
+StructureStripImporter.FILE_EXTENSIONS = ['txt', 'md', 'docx'];
+
+/** @constant {string} Namespace of WordprocessingML */
+StructureStripImporter.DOCX_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
@@ -0,0 +1,112 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing a map of all sections in proportion to their weights */
+export default class StructureStripMiniMap {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {object[]} params.sections Sections with id, title, weight, colorBackground and colorText.
+   * @param {string} [params.orientation='horizontal'] horizontal|vertical.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      sections: [],
+      orientation: 'horizontal',
+      a11y: {
+        miniMap: 'Proportions of sections',
+        miniMapSection: '@title: target @target %, yours @actual %'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      onSectionChosen: () => {}
+    }, callbacks);
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-mini-map');
+    this.content.classList.add(`h5p-structure-strip-mini-map-${this.params.orientation}`);
+    this.content.setAttribute('role', 'group');
+    this.content.setAttribute('aria-label', this.params.a11y.miniMap);
+
+    // Length of each bar is the target share by weight
+    const totalWeight = this.params.sections.reduce((sum, section) => sum + section.weight, 0);
+    this.targetShares = this.params.sections.map(section => section.weight / totalWeight);
+
+    this.bars = this.params.sections.map((section, index) => {
+      const bar = document.createElement('button');
+      bar.classList.add('h5p-structure-strip-mini-map-bar');
+      bar.style.flexGrow = this.targetShares[index];
+      bar.style.color = section.colorText;
+      bar.addEventListener('click', () => {
+        this.callbacks.onSectionChosen(section.id);
+      });
+      this.content.appendChild(bar);
+
+      const target = document.createElement('span');
+      target.classList.add('h5p-structure-strip-mini-map-target');
+      target.style.backgroundColor = section.colorBackground;
+      bar.appendChild(target);
+
+      const actual = document.createElement('span');
+      actual.classList.add('h5p-structure-strip-mini-map-actual');
+      actual.style.backgroundColor = section.colorBackground;
+      bar.appendChild(actual);
+
+      const title = document.createElement('span');
+      title.classList.add('h5p-structure-strip-mini-map-title');
+      title.setAttribute('aria-hidden', 'true');
+      title.innerText = section.title;
+      bar.appendChild(title);
+
+      return {bar: bar, actual: actual};
+    });
+
+    this.update(this.params.sections.map(() => 0));
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Update actual shares.
+   * @param {number[]} lengths Current lengths of all sections.
+   */
+  update(lengths) {
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+
+    this.bars.forEach((entry, index) => {
+      const section = this.params.sections[index];
+      const targetShare = this.targetShares[index];
+      const actualShare = (total === 0) ? 0 : lengths[index] / total;
+
+      // Overlay fills the bar when the actual share matches the target share
+      const fill = Math.min(actualShare / targetShare, 1) * 100;
+      if (this.params.orientation === 'vertical') {
+        entry.actual.style.height = `${fill}%`;
+      }
+      else {
+        entry.actual.style.width = `${fill}%`;
+      }
+
+      if (actualShare > targetShare) {
+        entry.bar.classList.add('h5p-structure-strip-mini-map-bar-exceeded');
+      }
+      else {
+        entry.bar.classList.remove('h5p-structure-strip-mini-map-bar-exceeded');
+      }
+
+      const label = this.params.a11y.miniMapSection
+        .replace(/@title/g, section.title)
+        .replace(/@target/g, Math.round(targetShare * 100))
+        .replace(/@actual/g, Math.round(actualShare * 100));
+      entry.bar.setAttribute('aria-label', label);
+      entry.bar.setAttribute('title', label);
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class for computing readability metrics */
+export default class StructureStripReadability {
+  /**
+   * Count words, sentences, long words and syllables of text.
+   * @param {string} [text=''] Text.
+   * @param {string} [languageTag] Language tag used for segmenting and syllables.
+   * @return {object} Counts.
+   */
+  static computeCounts(text = '', languageTag) {
+    const words = Util.getSegments(text, 'word', languageTag);
+
+    return {
+      words: words.length,
+      sentences: Util.countSegments(text, 'sentence', languageTag),
+      longWords: words
+        .filter(word => Util.countSegments(word, 'grapheme') > StructureStripReadability.LONG_WORD_LENGTH)
+        .length,
+      syllables: words.reduce((sum, word) => {
+        return sum + StructureStripReadability.countSyllables(word, languageTag);
+      }, 0)
+    };
+  }
+
+  /**
+   * Add counts, e.g. of all sections.
+   * @param {object[]} countsList Counts.
+   * @return {object} Sum of counts.
+   */
+  static addCounts(countsList) {
+    return countsList.reduce((sum, counts) => {
+      return {
+        words: sum.words + counts.words,
+        sentences: sum.sentences + counts.sentences,
+        longWords: sum.longWords + counts.longWords,
+        syllables: sum.syllables + counts.syllables
+      };
+    }, {words: 0, sentences: 0, longWords: 0, syllables: 0});
+  }
+
+  /**
+   * Compute readability metrics.
+   * @param {object} counts Counts as computed by computeCounts.
+   * @param {string} [languageTag] Language tag that determines the reading ease formula.
+   * @return {object|null} Average sentence length in words, long word ratio in percent and reading ease (null if language is not supported). Null if there are no words.
+   */
+  static computeMetrics(counts, languageTag) {
+    if (counts.words === 0) {
+      return null;
+    }
+
+    // Text without closing punctuation still is one sentence
+    const averageSentenceLength = counts.words / Math.max(1, counts.sentences);
+    const averageSyllables = counts.syllables / counts.words;
+
+    const language = (languageTag || '').split('-')[0].toLowerCase();
+    const formula = StructureStripReadability.READING_EASE_FORMULAS[language];
+
+    return {
+      averageSentenceLength: Math.round(averageSentenceLength * 10) / 10,
+      longWordRatio: Math.round(counts.longWords / counts.words * 100),
+      readingEase: (formula) ? Math.round(formula(averageSentenceLength, averageSyllables)) : null
+    };
+  }
+
+  /**
+   * Estimate number of syllables by counting groups of vowels.
+   * @param {string} word Word.
+   * @param {string} [languageTag] Language tag.
+   * @return {number} Number of syllables.
+   */
+  static countSyllables(word, languageTag) {
+    word = word.toLowerCase();
+
+    const vowelGroups = word.match(/[aeiouyäöüàáâèéêëìíîïòóôùúûæœ]+/g);
+    let count = (vowelGroups) ? vowelGroups.length : 0;
+
+    // Silent e at the end of English words, e.g. "make"
+    if ((languageTag || '').split('-')[0].toLowerCase() === 'en' && /[^aeiouy]e$/.test(word) && !/le$/.test(word)) {
+      count--;
+    }
+
+    return Math.max(1, count);
+  }
+}
+
+/** @constant {number} Words with more letters are considered long */
+StructureStripReadability.LONG_WORD_LENGTH = 6;
+
+/** @constant {object} Reading ease formulas by language, using average sentence length and syllables per word */
+StructureStripReadability.READING_EASE_FORMULAS = {
+  // Flesch reading ease
+  en: (sentenceLength, syllables) => 206.835 - 1.015 * sentenceLength - 84.6 * syllables,
+  // Flesch reading ease adjusted by Amstad
+  de: (sentenceLength, syllables) => 180 - sentenceLength - 58.5 * syllables
+};
@@ -0,0 +1,152 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing the rubric criteria of a section */
+export default class StructureStripRubric {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {object[]} params.criteria Criteria with criterion text and points.
+   * @param {boolean[]} [params.ticks] Previously ticked criteria.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      criteria: [],
+      ticks: [],
+      l10n: {
+        rubricTitle: 'Which criteria did you meet?',
+        rubricPoints: '@points points'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      onChanged: () => {}
+    }, callbacks);
+
+    this.content = document.createElement('fieldset');
+    this.content.classList.add('h5p-structure-strip-rubric');
+
+    const legend = document.createElement('legend');
+    legend.classList.add('h5p-structure-strip-rubric-title');
+    legend.innerText = this.params.l10n.rubricTitle;
+    this.content.appendChild(legend);
+
+    this.checkboxes = this.params.criteria.map((criterion, index) => {
+      const label = document.createElement('label');
+      label.classList.add('h5p-structure-strip-rubric-criterion');
+
+      const checkbox = document.createElement('input');
+      checkbox.setAttribute('type', 'checkbox');
+      checkbox.checked = this.params.ticks[index] === true;
+      checkbox.addEventListener('change', () => {
+        this.callbacks.onChanged();
+      });
+      label.appendChild(checkbox);
+
+      const text = document.createElement('span');
+      text.classList.add('h5p-structure-strip-rubric-criterion-text');
+      text.innerHTML = criterion.criterion;
+      label.appendChild(text);
+
+      const points = document.createElement('span');
+      points.classList.add('h5p-structure-strip-rubric-criterion-points');
+      points.innerText = this.params.l10n.rubricPoints.replace(/@points/g, criterion.points);
+      label.appendChild(points);
+
+      this.content.appendChild(label);
+
+      return checkbox;
+    });
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Show rubric.
+   */
+  show() {
+    this.content.classList.remove('h5p-structure-strip-display-none');
+  }
+
+  /**
+   * Hide rubric.
+   */
+  hide() {
+    this.content.classList.add('h5p-structure-strip-display-none');
+  }
+
+  /**
+   * Enable ticking criteria.
+   */
+  enable() {
+    this.checkboxes.forEach(checkbox => {
+      checkbox.disabled = false;
+      checkbox.parentNode.classList.remove('h5p-structure-strip-rubric-criterion-disabled');
+    });
+  }
+
+  /**
+   * Disable ticking criteria.
+   */
+  disable() {
+    this.checkboxes.forEach(checkbox => {
+      checkbox.disabled = true;
+      checkbox.parentNode.classList.add('h5p-structure-strip-rubric-criterion-disabled');
+    });
+  }
+
+  /**
+   * Untick all criteria.
+   */
+  reset() {
+    this.checkboxes.forEach(checkbox => {
+      checkbox.checked = false;
+    });
+  }
+
+  /**
+   * Get ticks.
+   * @return {boolean[]} True for each criterion that was ticked.
+   */
+  getTicks() {
+    return this.checkboxes.map(checkbox => checkbox.checked);
+  }
+
+  /**
+   * Get criteria with their ticks.
+   * @return {object[]} Criterion text, points and whether it was met.
+   */
+  getResults() {
+    return this.params.criteria.map((criterion, index) => {
+      return {
+        criterion: Util.htmlDecode(criterion.criterion),
+        points: criterion.points,
+        met: this.checkboxes[index].checked
+      };
+    });
+  }
+
+  /**
+   * Get score.
+   * @return {number} Points of ticked criteria.
+   */
+  getScore() {
+    return this.params.criteria.reduce((sum, criterion, index) => {
+      return sum + ((this.checkboxes[index].checked) ? criterion.points : 0);
+    }, 0);
+  }
+
+  /**
+   * Get maximum score.
+   * @return {number} Points of all criteria.
+   */
+  getMaxScore() {
+    return this.params.criteria.reduce((sum, criterion) => sum + criterion.points, 0);
+  }
+}
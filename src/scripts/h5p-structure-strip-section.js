@@ -1,4 +1,7 @@
 import Util from './h5p-structure-strip-util';
+import StructureStripComments from './h5p-structure-strip-comments';
+import StructureStripReadability from './h5p-structure-strip-readability';
+import StructureStripRubric from './h5p-structure-strip-rubric';
 
 /** Class representing the content */
 export default class StructureStripSection {
@@ -13,22 +16,85 @@ export default class StructureStripSection {
       title: '',
       description: '',
       text: '',
+      html: '',
+      richText: false,
+      solution: '',
       weight: 1,
+      lengthMin: 0,
+      lengthMax: Number.POSITIVE_INFINITY,
+      lengthUnit: 'characters',
+      movable: false,
+      repeatable: false,
+      showReadability: false,
+      requiredWords: [],
+      forbiddenWords: [],
+      comments: [],
+      reviewMode: false,
+      rubric: [],
+      rubricTicks: [],
+      rubricVisible: false,
+      timed: false,
+      timeSpent: 0,
+      feedbackTexts: {},
+      l10n: {
+        sampleText: 'Sample text',
+        timeBudget: '@spent of about @budget',
+        rubricTitle: 'Which criteria did you meet?',
+        rubricPoints: '@points points',
+        comments: 'Comments',
+        addComment: 'Add comment',
+        removeComment: 'Remove'
+      },
       a11y: {
-        showHints: 'showHints'
+        showHints: 'showHints',
+        moveSection: 'Move section, use arrow keys to change position',
+        addInstance: 'Add another section like this one',
+        removeInstance: 'Remove this section',
+        comment: 'Comment',
+        bold: 'Bold',
+        italic: 'Italic',
+        underline: 'Underline',
+        bulletedList: 'Bulleted list',
+        numberedList: 'Numbered list'
       }
     }, params);
 
     this.callbacks = Util.extend({
+      onCommentsChanged: () => {},
       onContentChanged: () => {},
+      onDragEnded: () => {},
+      onDragStarted: () => {},
+      onDropped: () => {},
+      onFocused: () => {},
+      onMoveRequested: () => {},
+      onPasted: () => {},
+      isDropTarget: () => false,
       onHintButtonOpened: () => {},
-      onInteracted: () => {}
+      onInstanceAdded: () => {},
+      onInstanceRemoved: () => {},
+      onInteracted: () => {},
+      onRubricChanged: () => {}
     }, callbacks);
 
+    // Words or regular expressions that the text should or should not contain
+    this.keywords = {
+      required: this.params.requiredWords.map(word => Util.buildKeyword(word)).filter(keyword => keyword !== null),
+      forbidden: this.params.forbiddenWords.map(word => Util.buildKeyword(word)).filter(keyword => keyword !== null)
+    };
+
+    // Milliseconds that the input field had focus before it was focussed last
+    this.timeSpent = this.params.timeSpent * 1000;
+    this.focusTime = null;
+    this.timeBudget = null;
+
     // Create content DOM
     this.content = document.createElement('div');
     this.content.classList.add('h5p-structure-strip-text-strip');
 
+    if (this.params.movable) {
+      this.addDragListeners();
+    }
+
     // Description Container
     const descriptionContainer = document.createElement('div');
     descriptionContainer.classList.add('h5p-structure-strip-text-strip-description-container');
@@ -46,6 +112,19 @@ export default class StructureStripSection {
 
     // Text input field
     this.addInputField();
+
+    // Rubric criteria
+    if (this.hasRubric()) {
+      this.addRubric();
+    }
+
+    // Teacher comments
+    this.addComments();
+
+    // Sample text
+    if (this.hasSolution()) {
+      this.addSolutionField();
+    }
   }
 
   /**
@@ -60,6 +139,30 @@ export default class StructureStripSection {
    * Enable for input.
    */
   enable() {
+    // Text must not be changed while reviewing
+    if (this.params.reviewMode) {
+      return;
+    }
+
+    if (this.buttonMove) {
+      this.buttonMove.disabled = false;
+    }
+
+    this.enabled = true;
+    this.updateInstanceButtons();
+
+    this.isRubricEnabled = true;
+    this.updateRubric();
+
+    if (this.params.richText) {
+      this.inputField.setAttribute('contenteditable', 'true');
+      this.inputField.removeAttribute('aria-disabled');
+      this.toolbarButtons.forEach(button => {
+        button.disabled = false;
+      });
+      return;
+    }
+
     this.inputField.disabled = false;
   }
 
@@ -67,25 +170,268 @@ export default class StructureStripSection {
    * Disable for input.
    */
   disable() {
+    this.stopTiming();
+
+    if (this.buttonMove) {
+      this.buttonMove.disabled = true;
+    }
+
+    this.enabled = false;
+    this.updateInstanceButtons();
+
+    // Criteria are part of the score, so they must not be changed either
+    this.isRubricEnabled = false;
+    this.updateRubric();
+
+    if (this.params.richText) {
+      this.inputField.setAttribute('contenteditable', 'false');
+      this.inputField.setAttribute('aria-disabled', 'true');
+      this.toolbarButtons.forEach(button => {
+        button.disabled = true;
+      });
+      return;
+    }
+
     this.inputField.disabled = true;
   }
 
+  /**
+   * Determine whether text can be changed.
+   * @return {boolean} True, if text can be changed.
+   */
+  isEnabled() {
+    return this.enabled !== false && !this.params.reviewMode;
+  }
+
+  /**
+   * Reset.
+   * @param {object} [params={}] Parameters.
+   * @param {boolean} [params.keepText=false] If true, the text will be kept.
+   */
+  reset(params = {}) {
+    if (!params.keepText) {
+      this.setText('');
+      this.lastValue = this.getHTML();
+    }
+
+    this.setStatus('&nbsp;');
+    this.setProgressBar(0);
+    this.hideSolution();
+
+    // Time is measured per attempt
+    this.timeSpent = 0;
+    this.focusTime = null;
+    this.updateTime();
+
+    if (this.rubric) {
+      this.rubric.reset();
+      if (!this.params.rubricVisible) {
+        this.rubric.hide();
+      }
+    }
+
+    this.enable();
+  }
+
   /**
    * Get id.
-   * @return {number} Id.
+   * @return {string} Id.
    */
   getId() {
     return this.params.id;
   }
 
   /**
-   * Get text.
+   * Get text as it is visible to the student.
    * @return {string} Text.
    */
   getText() {
+    if (this.params.richText) {
+      return Util.htmlToText(this.inputField.innerHTML);
+    }
+
     return this.inputField.value || '';
   }
 
+  /**
+   * Get text as HTML. Will keep formatting in rich text mode.
+   * @return {string} HTML.
+   */
+  getHTML() {
+    if (this.params.richText) {
+      return Util.sanitizeHTML(this.inputField.innerHTML);
+    }
+
+    return Util.textToHTML(this.getText());
+  }
+
+  /**
+   * Set text.
+   * @param {string} [text=''] Text.
+   * @param {string} [html] HTML, will be used in rich text mode if set.
+   */
+  setText(text = '', html) {
+    if (this.params.richText) {
+      this.inputField.innerHTML = Util.sanitizeHTML(html || Util.textToHTML(text));
+    }
+    else {
+      this.inputField.value = text;
+    }
+
+    this.updateRubric();
+  }
+
+  /**
+   * Determine whether rubric criteria are set.
+   * @return {boolean} True, if rubric criteria are set.
+   */
+  hasRubric() {
+    return this.params.rubric.length > 0;
+  }
+
+  /**
+   * Show rubric criteria to be ticked, even if the text cannot be changed anymore.
+   */
+  showRubric() {
+    if (!this.rubric) {
+      return;
+    }
+
+    this.rubric.show();
+
+    this.isRubricEnabled = true;
+    this.updateRubric();
+  }
+
+  /**
+   * Disable ticking rubric criteria, e.g. when sample texts are shown.
+   */
+  disableRubric() {
+    this.isRubricEnabled = false;
+    this.updateRubric();
+  }
+
+  /**
+   * Update whether rubric criteria can be ticked. Empty sections cannot meet any criteria.
+   */
+  updateRubric() {
+    if (!this.rubric) {
+      return;
+    }
+
+    if (this.isRubricEnabled && !this.params.reviewMode && this.getText().trim() !== '') {
+      this.rubric.enable();
+    }
+    else {
+      this.rubric.disable();
+    }
+  }
+
+  /**
+   * Get ticks of rubric criteria.
+   * @return {boolean[]} True for each criterion that was ticked.
+   */
+  getRubricTicks() {
+    return (this.rubric) ? this.rubric.getTicks() : [];
+  }
+
+  /**
+   * Get rubric criteria with their ticks.
+   * @return {object[]} Criterion text, points and whether it was met.
+   */
+  getRubricResults() {
+    return (this.rubric) ? this.rubric.getResults() : [];
+  }
+
+  /**
+   * Get score of ticked rubric criteria.
+   * @return {number} Score.
+   */
+  getRubricScore() {
+    return (this.rubric) ? this.rubric.getScore() : 0;
+  }
+
+  /**
+   * Get maximum score of rubric criteria.
+   * @return {number} Maximum score.
+   */
+  getRubricMaxScore() {
+    return (this.rubric) ? this.rubric.getMaxScore() : 0;
+  }
+
+  /**
+   * Get teacher comments.
+   * @return {object[]} Comments.
+   */
+  getComments() {
+    return this.comments.getComments();
+  }
+
+  /**
+   * Get text that is currently selected in the input field.
+   * @return {object|null} Selected text as quote with start and end in plain text mode.
+   */
+  getSelection() {
+    if (this.params.richText) {
+      const selection = window.getSelection();
+      if (!selection || selection.isCollapsed || !this.inputField.contains(selection.anchorNode)) {
+        return null;
+      }
+
+      return {quote: selection.toString()};
+    }
+
+    const start = this.inputField.selectionStart;
+    const end = this.inputField.selectionEnd;
+    if (typeof start !== 'number' || start === end) {
+      return null;
+    }
+
+    return {
+      quote: this.inputField.value.substring(start, end),
+      start: start,
+      end: end
+    };
+  }
+
+  /**
+   * Select text in the input field that a comment refers to.
+   * @param {object} comment Comment with quote and optional start and end.
+   */
+  selectQuote(comment) {
+    this.inputField.focus();
+
+    if (this.params.richText) {
+      // Only quotes within one text node can be found
+      const walker = document.createTreeWalker(this.inputField, NodeFilter.SHOW_TEXT, null, false);
+      while (walker.nextNode()) {
+        const position = walker.currentNode.nodeValue.indexOf(comment.quote);
+        if (position !== -1) {
+          const range = document.createRange();
+          range.setStart(walker.currentNode, position);
+          range.setEnd(walker.currentNode, position + comment.quote.length);
+          window.getSelection().removeAllRanges();
+          window.getSelection().addRange(range);
+          return;
+        }
+      }
+      return;
+    }
+
+    const text = this.getText();
+    let start = comment.start;
+
+    // Text may have been changed after the comment was added
+    if (typeof start !== 'number' || text.substring(start, comment.end) !== comment.quote) {
+      start = text.indexOf(comment.quote);
+    }
+    if (start === -1) {
+      return;
+    }
+
+    this.inputField.setSelectionRange(start, start + comment.quote.length);
+  }
+
   /**
    * Get title.
    * @return {string} Title.
@@ -94,12 +440,150 @@ export default class StructureStripSection {
     return this.params.title;
   }
 
+  /**
+   * Set title, e.g. when instances of repeatable sections are renumbered.
+   * @param {string} title Title.
+   */
+  setTitle(title) {
+    this.params.title = title;
+    this.descriptionTitleText.textContent = title;
+    this.inputField.setAttribute('aria-label', this.buildAriaLabel([title]));
+    if (this.buttonMove) {
+      this.buttonMove.setAttribute('aria-label', this.buildAriaLabel([title, this.params.a11y.moveSection]));
+    }
+  }
+
+  /**
+   * Get id of the section definition that the section was created from.
+   * @return {string} Id of section definition.
+   */
+  getDefinitionId() {
+    return this.params.definitionId || this.params.id;
+  }
+
+  /**
+   * Get background and text color.
+   * @return {object} Background color and text color.
+   */
+  getColors() {
+    return {
+      background: this.params.colorBackground,
+      text: this.params.colorText
+    };
+  }
+
+  /**
+   * Get feedback texts that replace the general ones for this section.
+   * @return {object} Feedback texts by length state, e.g. tooShort.
+   */
+  getFeedbackTexts() {
+    return this.params.feedbackTexts;
+  }
+
+  /**
+   * Determine whether students may add and remove instances of the section.
+   * @return {boolean} True, if section is repeatable.
+   */
+  isRepeatable() {
+    return this.params.repeatable;
+  }
+
+  /**
+   * Set whether instances can be added or removed.
+   * @param {boolean} canAdd If true, another instance can be added.
+   * @param {boolean} canRemove If true, this instance can be removed.
+   */
+  setInstancesChangeable(canAdd, canRemove) {
+    this.canAddInstance = canAdd;
+    this.canRemoveInstance = canRemove;
+    this.updateInstanceButtons();
+  }
+
+  /**
+   * Update state of buttons for adding and removing instances.
+   */
+  updateInstanceButtons() {
+    if (!this.buttonAddInstance) {
+      return;
+    }
+
+    const isChangeable = this.isEnabled();
+    this.buttonAddInstance.disabled = !isChangeable || !this.canAddInstance;
+    this.buttonRemoveInstance.disabled = !isChangeable || !this.canRemoveInstance;
+  }
+
+  /**
+   * Focus input field.
+   */
+  focus() {
+    this.inputField.focus();
+  }
+
   /**
    * Get text length.
-   * @return {number} Text length.
+   * @return {number} Text length in the section's length unit.
    */
   getLength() {
-    this.getText().length;
+    return Util.computeTextLength(this.getText(), this.params.lengthUnit, this.params.languageTag);
+  }
+
+  /**
+   * Get counts needed for readability metrics.
+   * @return {object} Words, sentences, long words and syllables.
+   */
+  getReadabilityCounts() {
+    return StructureStripReadability.computeCounts(this.getText(), this.params.languageTag);
+  }
+
+  /**
+   * Get absolute length bounds.
+   * @return {object} Minimum and maximum length in the section's length unit.
+   */
+  getLengthBounds() {
+    return {
+      min: this.params.lengthMin,
+      max: this.params.lengthMax
+    };
+  }
+
+  /**
+   * Get required and forbidden keywords.
+   * @return {object} Required and forbidden keywords with label and regExp.
+   */
+  getKeywords() {
+    return this.keywords;
+  }
+
+  /**
+   * Determine whether students may move the section.
+   * @return {boolean} True, if section is movable.
+   */
+  isMovable() {
+    return this.params.movable;
+  }
+
+  /**
+   * Set whether section is a target for the section being dragged.
+   * @param {boolean} isDropTarget If true, section is marked as drop target.
+   */
+  setDropTarget(isDropTarget) {
+    if (isDropTarget) {
+      this.content.classList.add('h5p-structure-strip-text-strip-drop-target');
+    }
+    else {
+      this.content.classList.remove('h5p-structure-strip-text-strip-drop-target');
+    }
+  }
+
+  /**
+   * Focus button for moving the section.
+   */
+  focusMoveButton() {
+    if (!this.buttonMove) {
+      return;
+    }
+
+    this.buttonMove.focus();
   }
 
   /**
@@ -110,6 +594,96 @@ export default class StructureStripSection {
     return this.params.weight;
   }
 
+  /**
+   * Determine whether a sample text is available.
+   * @return {boolean} True, if sample text is available.
+   */
+  hasSolution() {
+    return this.params.solution !== '';
+  }
+
+  /**
+   * Show sample text.
+   */
+  showSolution() {
+    if (!this.solution) {
+      return;
+    }
+
+    this.solution.classList.remove('h5p-structure-strip-display-none');
+  }
+
+  /**
+   * Hide sample text.
+   */
+  hideSolution() {
+    if (!this.solution) {
+      return;
+    }
+
+    this.solution.classList.add('h5p-structure-strip-display-none');
+  }
+
+  /**
+   * Get time that the input field had focus.
+   * @return {number} Time spent in seconds.
+   */
+  getTimeSpent() {
+    const timeFocussed = (this.focusTime !== null) ? Date.now() - this.focusTime : 0;
+    return Math.round((this.timeSpent + timeFocussed) / 1000);
+  }
+
+  /**
+   * Get suggested time for writing.
+   * @return {number|null} Suggested time in seconds or null if not timed.
+   */
+  getTimeBudget() {
+    return this.timeBudget;
+  }
+
+  /**
+   * Set suggested time for writing.
+   * @param {number} timeBudget Suggested time in seconds.
+   */
+  setTimeBudget(timeBudget) {
+    this.timeBudget = timeBudget;
+    this.updateTime();
+  }
+
+  /**
+   * Stop measuring the time spent.
+   */
+  stopTiming() {
+    if (this.focusTime === null) {
+      return;
+    }
+
+    this.timeSpent += Date.now() - this.focusTime;
+    this.focusTime = null;
+  }
+
+  /**
+   * Update display of time spent and suggested time.
+   */
+  updateTime() {
+    if (!this.descriptionTime || this.timeBudget === null) {
+      return;
+    }
+
+    const timeSpent = this.getTimeSpent();
+
+    this.descriptionTime.innerText = this.params.l10n.timeBudget
+      .replace(/@spent/g, Util.formatTime(timeSpent))
+      .replace(/@budget/g, Util.formatTime(this.timeBudget));
+
+    if (timeSpent > this.timeBudget) {
+      this.descriptionTime.classList.add('h5p-structure-strip-text-strip-description-time-exceeded');
+    }
+    else {
+      this.descriptionTime.classList.remove('h5p-structure-strip-text-strip-description-time-exceeded');
+    }
+  }
+
   /**
    * Set status text.
    * @param {string} [text=''] Status text to set.
@@ -121,6 +695,17 @@ export default class StructureStripSection {
     this.descriptionStatus.innerHTML = text;
   }
 
+  /**
+   * Set readability metrics text.
+   * @param {string} [text=''] Readability metrics.
+   */
+  setMetrics(text = '') {
+    if (!this.descriptionMetrics) {
+      return;
+    }
+    this.descriptionMetrics.innerText = text;
+  }
+
   /**
    * Add progress bar.
    * @param {HTMLElement} descriptionContainer Container to add bar to.
@@ -161,6 +746,20 @@ export default class StructureStripSection {
       descriptionWrapper.appendChild(this.descriptionStatus);
     }
 
+    // Readability metrics
+    if (this.params.showReadability) {
+      this.descriptionMetrics = document.createElement('div');
+      this.descriptionMetrics.classList.add('h5p-structure-strip-text-strip-description-metrics');
+      descriptionWrapper.appendChild(this.descriptionMetrics);
+    }
+
+    // Time spent and suggested time
+    if (this.params.timed) {
+      this.descriptionTime = document.createElement('div');
+      this.descriptionTime.classList.add('h5p-structure-strip-text-strip-description-time');
+      descriptionWrapper.appendChild(this.descriptionTime);
+    }
+
     descriptionContainer.appendChild(descriptionWrapper);
   }
 
@@ -175,10 +774,10 @@ export default class StructureStripSection {
     descriptionWrapper.appendChild(descriptionTitle);
 
     // Title text
-    const descriptionTitleText = document.createElement('span');
-    descriptionTitleText.classList.add('h5p-structure-strip-text-strip-description-title-text');
-    descriptionTitleText.innerHTML = Util.htmlDecode(this.params.title);
-    descriptionTitle.appendChild(descriptionTitleText);
+    this.descriptionTitleText = document.createElement('span');
+    this.descriptionTitleText.classList.add('h5p-structure-strip-text-strip-description-title-text');
+    this.descriptionTitleText.innerHTML = Util.htmlDecode(this.params.title);
+    descriptionTitle.appendChild(this.descriptionTitleText);
 
     // Hint button
     if (this.params.hasDescription) {
@@ -193,6 +792,130 @@ export default class StructureStripSection {
 
       descriptionTitle.appendChild(buttonHint);
     }
+
+    // Drag handle for movable sections
+    if (this.params.movable) {
+      this.addMoveButton(descriptionTitle);
+    }
+
+    // Buttons for repeatable sections
+    if (this.params.repeatable) {
+      this.addInstanceButtons(descriptionTitle);
+    }
+  }
+
+  /**
+   * Add buttons for adding and removing instances of repeatable sections.
+   * @param {HTMLElement} descriptionTitle Element to add buttons to.
+   */
+  addInstanceButtons(descriptionTitle) {
+    this.buttonAddInstance = document.createElement('button');
+    this.buttonAddInstance.classList.add('h5p-structure-strip-text-strip-button-add-instance');
+    this.buttonAddInstance.style.color = this.params.colorText;
+    this.buttonAddInstance.setAttribute('aria-label', this.params.a11y.addInstance);
+    this.buttonAddInstance.setAttribute('title', this.params.a11y.addInstance);
+    this.buttonAddInstance.addEventListener('click', () => {
+      this.callbacks.onInstanceAdded();
+    });
+    descriptionTitle.appendChild(this.buttonAddInstance);
+
+    this.buttonRemoveInstance = document.createElement('button');
+    this.buttonRemoveInstance.classList.add('h5p-structure-strip-text-strip-button-remove-instance');
+    this.buttonRemoveInstance.style.color = this.params.colorText;
+    this.buttonRemoveInstance.setAttribute('aria-label', this.params.a11y.removeInstance);
+    this.buttonRemoveInstance.setAttribute('title', this.params.a11y.removeInstance);
+    this.buttonRemoveInstance.addEventListener('click', () => {
+      this.callbacks.onInstanceRemoved();
+    });
+    descriptionTitle.appendChild(this.buttonRemoveInstance);
+
+    this.updateInstanceButtons();
+  }
+
+  /**
+   * Add button for moving the section by dragging or with arrow keys.
+   * @param {HTMLElement} descriptionTitle Element to add button to.
+   */
+  addMoveButton(descriptionTitle) {
+    this.buttonMove = document.createElement('button');
+    this.buttonMove.classList.add('h5p-structure-strip-text-strip-button-move');
+    this.buttonMove.style.color = this.params.colorText;
+    this.buttonMove.setAttribute('aria-label', this.buildAriaLabel([this.params.title, this.params.a11y.moveSection]));
+    this.buttonMove.setAttribute('title', this.params.a11y.moveSection);
+    this.buttonMove.disabled = this.params.reviewMode;
+
+    // Only start dragging from the handle, so text can still be selected
+    ['mousedown', 'touchstart'].forEach(eventType => {
+      this.buttonMove.addEventListener(eventType, () => {
+        this.content.setAttribute('draggable', 'true');
+      });
+    });
+    this.buttonMove.addEventListener('mouseup', () => {
+      this.content.removeAttribute('draggable');
+    });
+
+    this.buttonMove.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowUp' || event.key === 'Up' || event.key === 'ArrowLeft' || event.key === 'Left') {
+        event.preventDefault();
+        this.callbacks.onMoveRequested(-1);
+      }
+      else if (event.key === 'ArrowDown' || event.key === 'Down' || event.key === 'ArrowRight' || event.key === 'Right') {
+        event.preventDefault();
+        this.callbacks.onMoveRequested(1);
+      }
+    });
+
+    descriptionTitle.appendChild(this.buttonMove);
+  }
+
+  /**
+   * Add listeners for dragging the section and dropping other sections on it.
+   */
+  addDragListeners() {
+    this.content.addEventListener('dragstart', (event) => {
+      if (this.content.getAttribute('draggable') !== 'true') {
+        return;
+      }
+
+      event.dataTransfer.effectAllowed = 'move';
+      // Firefox will only drag if data is set
+      event.dataTransfer.setData('text', this.params.id);
+
+      this.content.classList.add('h5p-structure-strip-text-strip-dragging');
+      this.callbacks.onDragStarted();
+    });
+
+    this.content.addEventListener('dragend', () => {
+      this.content.removeAttribute('draggable');
+      this.content.classList.remove('h5p-structure-strip-text-strip-dragging');
+      this.callbacks.onDragEnded();
+    });
+
+    this.content.addEventListener('dragover', (event) => {
+      if (!this.callbacks.isDropTarget()) {
+        return;
+      }
+
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+      this.setDropTarget(true);
+    });
+
+    this.content.addEventListener('dragleave', (event) => {
+      if (!this.content.contains(event.relatedTarget)) {
+        this.setDropTarget(false);
+      }
+    });
+
+    this.content.addEventListener('drop', (event) => {
+      if (!this.callbacks.isDropTarget()) {
+        return;
+      }
+
+      event.preventDefault();
+      this.setDropTarget(false);
+      this.callbacks.onDropped();
+    });
   }
 
   /**
@@ -202,27 +925,77 @@ export default class StructureStripSection {
     const input = document.createElement('div');
     input.classList.add('h5p-structure-strip-text-strip-input-container');
 
-    this.inputField = document.createElement('textarea');
-    this.inputField.classList.add('h5p-structure-strip-text-strip-input-field');
-    this.inputField.setAttribute('rows', 5);
+    if (this.params.richText) {
+      this.addToolbar(input);
+
+      this.inputField = document.createElement('div');
+      this.inputField.classList.add('h5p-structure-strip-text-strip-input-field');
+      this.inputField.classList.add('h5p-structure-strip-text-strip-input-field-rich');
+      this.inputField.setAttribute('contenteditable', 'true');
+      this.inputField.setAttribute('role', 'textbox');
+      this.inputField.setAttribute('aria-multiline', 'true');
+
+      // Only keep allowed formatting when pasting
+      this.inputField.addEventListener('paste', (event) => {
+        this.callbacks.onPasted();
+
+        if (!event.clipboardData) {
+          return;
+        }
+
+        event.preventDefault();
+        const html = event.clipboardData.getData('text/html');
+        if (html) {
+          document.execCommand('insertHTML', false, Util.sanitizeHTML(html));
+        }
+        else {
+          document.execCommand('insertText', false, event.clipboardData.getData('text/plain'));
+        }
+      });
+    }
+    else {
+      this.inputField = document.createElement('textarea');
+      this.inputField.classList.add('h5p-structure-strip-text-strip-input-field');
+      this.inputField.setAttribute('rows', 5);
+
+      this.inputField.addEventListener('paste', () => {
+        this.callbacks.onPasted();
+      });
+    }
+
     this.inputField.setAttribute('aria-label', this.buildAriaLabel([this.params.title]));
-    this.inputField.value = this.params.text;
-    this.lastValue = this.params.text;
+    this.setText(this.params.text, this.params.html);
+    this.lastValue = this.getHTML();
+
+    // Measure time spent writing, but not time spent reviewing
+    if (!this.params.reviewMode) {
+      this.inputField.addEventListener('focus', () => {
+        this.focusTime = Date.now();
+        this.callbacks.onFocused();
+      });
+    }
 
     // Trigger xAPI 'interacted'
     this.inputField.addEventListener('blur', () => {
-      if (this.inputField.value !== this.lastValue) {
+      this.stopTiming();
+      this.updateTime();
+
+      if (this.getHTML() !== this.lastValue) {
         this.callbacks.onInteracted();
       }
-      this.lastValue = this.inputField.value;
+      this.lastValue = this.getHTML();
+    });
+
+    ['change', 'input', 'keyup', 'paste'].forEach(event => {
+      this.inputField.addEventListener(event, this.callbacks.onContentChanged);
+    });
+
+    this.inputField.addEventListener('input', () => {
+      this.updateRubric();
     });
 
     // Add listeners if feedback should be given while typing
     if (this.params.feedbackMode === 'whileTyping') {
-      ['change', 'keyup', 'paste'].forEach(event => {
-        this.inputField.addEventListener(event, this.callbacks.onContentChanged);
-      });
-
       this.inputField.addEventListener('focus', () => {
         this.inputField.setAttribute('aria-label', this.buildAriaLabel([this.params.title, this.descriptionStatus.innerHTML]));
       });
@@ -231,6 +1004,148 @@ export default class StructureStripSection {
     input.appendChild(this.inputField);
 
     this.content.appendChild(input);
+
+    // Keep text selectable for comments, disabled fields would prevent it
+    if (this.params.reviewMode) {
+      if (this.params.richText) {
+        this.inputField.setAttribute('contenteditable', 'false');
+        this.inputField.setAttribute('aria-readonly', 'true');
+        this.inputField.setAttribute('tabindex', '0');
+        this.toolbarButtons.forEach(button => {
+          button.disabled = true;
+        });
+      }
+      else {
+        this.inputField.readOnly = true;
+      }
+    }
+  }
+
+  /**
+   * Add rubric criteria to content.
+   */
+  addRubric() {
+    this.rubric = new StructureStripRubric(
+      {
+        criteria: this.params.rubric,
+        ticks: this.params.rubricTicks,
+        l10n: {
+          rubricTitle: this.params.l10n.rubricTitle,
+          rubricPoints: this.params.l10n.rubricPoints
+        }
+      },
+      {
+        onChanged: () => {
+          this.callbacks.onRubricChanged();
+        }
+      }
+    );
+
+    if (!this.params.rubricVisible) {
+      this.rubric.hide();
+    }
+
+    this.isRubricEnabled = true;
+    this.updateRubric();
+
+    this.content.appendChild(this.rubric.getDOM());
+  }
+
+  /**
+   * Add teacher comments to content.
+   */
+  addComments() {
+    this.comments = new StructureStripComments(
+      {
+        comments: this.params.comments,
+        reviewMode: this.params.reviewMode,
+        l10n: {
+          comments: this.params.l10n.comments,
+          addComment: this.params.l10n.addComment,
+          removeComment: this.params.l10n.removeComment
+        },
+        a11y: {
+          comment: this.params.a11y.comment
+        }
+      },
+      {
+        getSelection: () => this.getSelection(),
+        onChanged: () => {
+          this.callbacks.onCommentsChanged();
+        },
+        onQuoteClicked: (comment) => {
+          this.selectQuote(comment);
+        }
+      }
+    );
+    this.content.appendChild(this.comments.getDOM());
+  }
+
+  /**
+   * Add toolbar for rich text formatting.
+   * @param {HTMLElement} input Container to add toolbar to.
+   */
+  addToolbar(input) {
+    const toolbar = document.createElement('div');
+    toolbar.classList.add('h5p-structure-strip-text-strip-toolbar');
+    toolbar.setAttribute('role', 'toolbar');
+    input.appendChild(toolbar);
+
+    this.toolbarButtons = [
+      {name: 'bold', command: 'bold'},
+      {name: 'italic', command: 'italic'},
+      {name: 'underline', command: 'underline'},
+      {name: 'bulletedList', command: 'insertUnorderedList'},
+      {name: 'numberedList', command: 'insertOrderedList'}
+    ].map(item => {
+      const button = document.createElement('button');
+      button.classList.add('h5p-structure-strip-text-strip-toolbar-button');
+      button.classList.add(`h5p-structure-strip-text-strip-toolbar-button-${item.name}`);
+      button.setAttribute('aria-label', this.params.a11y[item.name]);
+      button.setAttribute('title', this.params.a11y[item.name]);
+
+      // Don't take focus from the input field
+      button.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+      });
+
+      button.addEventListener('click', () => {
+        this.inputField.focus();
+        document.execCommand(item.command, false, null);
+        this.callbacks.onContentChanged();
+      });
+
+      toolbar.appendChild(button);
+
+      return button;
+    });
+  }
+
+  /**
+   * Add solution field with sample text to content.
+   */
+  addSolutionField() {
+    this.solution = document.createElement('div');
+    this.solution.classList.add('h5p-structure-strip-text-strip-solution-container');
+    this.solution.classList.add('h5p-structure-strip-display-none');
+    this.solution.style.backgroundColor = this.params.colorBackground;
+    this.solution.style.color = this.params.colorText;
+
+    const solutionTitle = document.createElement('div');
+    solutionTitle.classList.add('h5p-structure-strip-text-strip-solution-title');
+    solutionTitle.innerText = this.params.l10n.sampleText;
+    this.solution.appendChild(solutionTitle);
+
+    // Keep line breaks that htmlDecode would remove
+    const solutionText = document.createElement('div');
+    solutionText.classList.add('h5p-structure-strip-text-strip-solution-text');
+    solutionText.textContent = this.params.solution
+      .split('\n')
+      .map(line => Util.htmlDecode(line))
+      .join('\n');
+    this.solution.appendChild(solutionText);
+
+    this.content.appendChild(this.solution);
   }
 
   /**
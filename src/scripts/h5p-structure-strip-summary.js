@@ -0,0 +1,165 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing the overall statistics of all sections */
+export default class StructureStripSummary {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {object[]} params.sections Sections with title, weight, colorBackground and colorText.
+   * @param {number} [params.textLengthMin=0] Minimum total text length.
+   * @param {number} [params.textLengthMax] Maximum total text length.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      sections: [],
+      textLengthMin: 0,
+      textLengthMax: Number.POSITIVE_INFINITY,
+      l10n: {
+        totalLength: 'Total length: @total',
+        belowMinimum: '@chars @unit below minimum total length',
+        aboveMaximum: '@chars @unit above maximum total length',
+        withinLimits: 'Within total length limits',
+        targetShare: 'Target',
+        actualShare: 'Yours'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      getUnitLabel: () => ''
+    }, callbacks);
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-summary');
+
+    // Total length and distance to limits
+    const textContainer = document.createElement('div');
+    textContainer.classList.add('h5p-structure-strip-summary-text-container');
+    this.content.appendChild(textContainer);
+
+    this.totalLength = document.createElement('div');
+    this.totalLength.classList.add('h5p-structure-strip-summary-total');
+    textContainer.appendChild(this.totalLength);
+
+    this.limits = document.createElement('div');
+    this.limits.classList.add('h5p-structure-strip-summary-limits');
+    textContainer.appendChild(this.limits);
+
+    this.readability = document.createElement('div');
+    this.readability.classList.add('h5p-structure-strip-summary-readability');
+    this.readability.classList.add('h5p-structure-strip-display-none');
+    textContainer.appendChild(this.readability);
+
+    // Share of each section by weight
+    const totalWeight = this.params.sections.reduce((sum, section) => sum + section.weight, 0);
+    this.targetSegments = this.addProportionBar(this.params.l10n.targetShare);
+    this.targetSegments.forEach((segment, index) => {
+      this.setSegmentShare(segment, this.params.sections[index], this.params.sections[index].weight / totalWeight);
+    });
+
+    // Share of each section by actual length
+    this.actualSegments = this.addProportionBar(this.params.l10n.actualShare);
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Add proportion bar.
+   * @param {string} label Label of the bar.
+   * @return {HTMLElement[]} Segments of the bar.
+   */
+  addProportionBar(label) {
+    const row = document.createElement('div');
+    row.classList.add('h5p-structure-strip-summary-bar-row');
+    this.content.appendChild(row);
+
+    const barLabel = document.createElement('div');
+    barLabel.classList.add('h5p-structure-strip-summary-bar-label');
+    barLabel.innerText = label;
+    row.appendChild(barLabel);
+
+    const bar = document.createElement('div');
+    bar.classList.add('h5p-structure-strip-summary-bar');
+    row.appendChild(bar);
+
+    return this.params.sections.map(section => {
+      const segment = document.createElement('div');
+      segment.classList.add('h5p-structure-strip-summary-bar-segment');
+      segment.style.backgroundColor = section.colorBackground;
+      segment.style.color = section.colorText;
+      bar.appendChild(segment);
+
+      return segment;
+    });
+  }
+
+  /**
+   * Set share of segment.
+   * @param {HTMLElement} segment Segment.
+   * @param {object} section Section the segment represents.
+   * @param {number} share Share as [0-1].
+   */
+  setSegmentShare(segment, section, share) {
+    const percentage = Math.round(share * 100);
+
+    segment.style.width = `${share * 100}%`;
+    segment.setAttribute('title', `${section.title}: ${percentage} %`);
+  }
+
+  /**
+   * Set readability metrics of the whole text.
+   * @param {string} [text] Readability metrics, will be hidden if empty.
+   */
+  setReadability(text) {
+    this.readability.innerText = text || '';
+
+    if (text) {
+      this.readability.classList.remove('h5p-structure-strip-display-none');
+    }
+    else {
+      this.readability.classList.add('h5p-structure-strip-display-none');
+    }
+  }
+
+  /**
+   * Build text about distance to a length limit.
+   * @param {string} template Text with @chars and @unit placeholders.
+   * @param {number} gap Distance to the limit.
+   * @return {string} Text.
+   */
+  buildLimitText(template, gap) {
+    return template
+      .replace(/@chars/g, gap)
+      .replace(/@unit/g, this.callbacks.getUnitLabel(gap));
+  }
+
+  /**
+   * Update statistics.
+   * @param {number[]} lengths Current lengths of all sections.
+   */
+  update(lengths) {
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+
+    this.totalLength.innerText = this.params.l10n.totalLength.replace(/@total/g, total);
+
+    if (total < this.params.textLengthMin) {
+      this.limits.innerText = this.buildLimitText(this.params.l10n.belowMinimum, this.params.textLengthMin - total);
+    }
+    else if (total > this.params.textLengthMax) {
+      this.limits.innerText = this.buildLimitText(this.params.l10n.aboveMaximum, total - this.params.textLengthMax);
+    }
+    else {
+      this.limits.innerText = this.params.l10n.withinLimits;
+    }
+
+    this.actualSegments.forEach((segment, index) => {
+      this.setSegmentShare(segment, this.params.sections[index], (total === 0) ? 0 : lengths[index] / total);
+    });
+  }
+}
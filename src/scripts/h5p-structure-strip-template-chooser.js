@@ -0,0 +1,115 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing the chooser for structure templates */
+export default class StructureStripTemplateChooser {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {object[]} params.templates Templates with id, name, description and sections.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      templates: [],
+      l10n: {
+        chooseStructure: 'Choose a structure for your text',
+        section: 'Section'
+      },
+      a11y: {
+        currentStructure: 'Current structure'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      onChosen: () => {}
+    }, callbacks);
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-template-chooser');
+
+    this.title = document.createElement('div');
+    this.title.classList.add('h5p-structure-strip-template-chooser-title');
+    this.title.innerText = this.params.l10n.chooseStructure;
+    this.content.appendChild(this.title);
+
+    const list = document.createElement('ul');
+    list.classList.add('h5p-structure-strip-template-chooser-list');
+    this.content.appendChild(list);
+
+    this.buttons = this.params.templates.map(template => {
+      const item = document.createElement('li');
+      item.classList.add('h5p-structure-strip-template-chooser-item');
+
+      const button = document.createElement('button');
+      button.classList.add('h5p-structure-strip-template-chooser-option');
+      button.addEventListener('click', () => {
+        this.callbacks.onChosen(template.id);
+      });
+      item.appendChild(button);
+
+      const name = document.createElement('span');
+      name.classList.add('h5p-structure-strip-template-chooser-option-name');
+      name.innerText = template.name;
+      button.appendChild(name);
+
+      if (template.description) {
+        const description = document.createElement('span');
+        description.classList.add('h5p-structure-strip-template-chooser-option-description');
+        description.innerText = template.description;
+        button.appendChild(description);
+      }
+
+      // Outline of section titles helps to tell templates apart
+      const outline = document.createElement('span');
+      outline.classList.add('h5p-structure-strip-template-chooser-option-outline');
+      outline.innerText = template.sections
+        .map((section, index) => Util.htmlDecode(section.title || `${this.params.l10n.section} ${index + 1}`))
+        .join(' – ');
+      button.appendChild(outline);
+
+      list.appendChild(item);
+
+      return {id: template.id, button: button};
+    });
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Mark template as the current one.
+   * @param {string} [id] Id of current template, none marked if not set.
+   */
+  setCurrent(id) {
+    this.buttons.forEach(entry => {
+      if (entry.id === id) {
+        entry.button.classList.add('h5p-structure-strip-template-chooser-option-current');
+        entry.button.setAttribute('aria-current', 'true');
+        entry.button.setAttribute('title', this.params.a11y.currentStructure);
+      }
+      else {
+        entry.button.classList.remove('h5p-structure-strip-template-chooser-option-current');
+        entry.button.removeAttribute('aria-current');
+        entry.button.removeAttribute('title');
+      }
+    });
+  }
+
+  /**
+   * Show title that is not needed if chooser is displayed in an overlay.
+   * @param {boolean} [visible=true] If false, title will be hidden.
+   */
+  showTitle(visible = true) {
+    if (visible) {
+      this.title.classList.remove('h5p-structure-strip-display-none');
+    }
+    else {
+      this.title.classList.add('h5p-structure-strip-display-none');
+    }
+  }
+}
@@ -0,0 +1,157 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing the countdown of timed writing */
+export default class StructureStripTimer {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {number} params.timeLimit Time limit in seconds.
+   * @param {number} [params.timeElapsed=0] Time elapsed in previous sessions in seconds.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      timeElapsed: 0,
+      l10n: {
+        timeRemaining: 'Time left: @time'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      onAlmostUp: () => {},
+      onExpired: () => {},
+      onTick: () => {}
+    }, callbacks);
+
+    // Milliseconds elapsed before the timer was started last
+    this.timeElapsed = this.params.timeElapsed * 1000;
+    this.startTime = null;
+    this.interval = null;
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-timer');
+    this.content.setAttribute('role', 'timer');
+
+    this.update();
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Start countdown.
+   */
+  start() {
+    if (this.isRunning() || this.isExpired()) {
+      return;
+    }
+
+    this.startTime = Date.now();
+    this.interval = window.setInterval(() => {
+      this.handleTick();
+    }, StructureStripTimer.TICK_INTERVAL_MS);
+  }
+
+  /**
+   * Stop countdown.
+   */
+  stop() {
+    if (!this.isRunning()) {
+      return;
+    }
+
+    this.timeElapsed += Date.now() - this.startTime;
+    this.startTime = null;
+
+    window.clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Reset countdown.
+   */
+  reset() {
+    this.stop();
+    this.timeElapsed = 0;
+    this.update();
+  }
+
+  /**
+   * Determine whether countdown is running.
+   * @return {boolean} True, if countdown is running.
+   */
+  isRunning() {
+    return this.startTime !== null;
+  }
+
+  /**
+   * Determine whether time is up.
+   * @return {boolean} True, if time is up.
+   */
+  isExpired() {
+    return this.getTimeRemaining() <= 0;
+  }
+
+  /**
+   * Get time elapsed.
+   * @return {number} Time elapsed in seconds.
+   */
+  getTimeElapsed() {
+    const timeRunning = (this.isRunning()) ? Date.now() - this.startTime : 0;
+    return Math.min(this.params.timeLimit, Math.round((this.timeElapsed + timeRunning) / 1000));
+  }
+
+  /**
+   * Get time remaining.
+   * @return {number} Time remaining in seconds.
+   */
+  getTimeRemaining() {
+    return this.params.timeLimit - this.getTimeElapsed();
+  }
+
+  /**
+   * Update display of time remaining.
+   */
+  update() {
+    const timeRemaining = this.getTimeRemaining();
+
+    this.content.innerText = this.params.l10n.timeRemaining.replace(/@time/g, Util.formatTime(timeRemaining));
+
+    if (timeRemaining <= StructureStripTimer.ALMOST_UP_SECONDS) {
+      this.content.classList.add('h5p-structure-strip-timer-almost-up');
+    }
+    else {
+      this.content.classList.remove('h5p-structure-strip-timer-almost-up');
+    }
+  }
+
+  /**
+   * Handle tick of countdown.
+   */
+  handleTick() {
+    const wasAlmostUp = this.content.classList.contains('h5p-structure-strip-timer-almost-up');
+
+    this.update();
+    this.callbacks.onTick();
+
+    if (!wasAlmostUp && this.getTimeRemaining() <= StructureStripTimer.ALMOST_UP_SECONDS) {
+      this.callbacks.onAlmostUp();
+    }
+
+    if (this.isExpired()) {
+      this.stop();
+      this.callbacks.onExpired();
+    }
+  }
+}
+
+/** @constant {number} Interval for updating the countdown */
+StructureStripTimer.TICK_INTERVAL_MS = 1000;
+
+/** @constant {number} Remaining time that students are warned at */
+StructureStripTimer.ALMOST_UP_SECONDS = 60;
@@ -0,0 +1,112 @@
+import Util from './h5p-structure-strip-util';
+
+/** Class representing texts that could not be assigned to a section */
+export default class StructureStripUnassigned {
+  /**
+   * @constructor
+   * @param {object} params Parameters.
+   * @param {object[]} [params.texts] Unassigned texts with title and text.
+   * @param {object} [callbacks={}] Callbacks.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = Util.extend({
+      texts: [],
+      l10n: {
+        unassignedTexts: 'These texts could not be assigned to a section.',
+        discard: 'Discard'
+      }
+    }, params);
+
+    this.callbacks = Util.extend({
+      onDiscarded: () => {}
+    }, callbacks);
+
+    this.texts = this.params.texts.filter(item => typeof item.text === 'string' && item.text !== '');
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-structure-strip-unassigned');
+
+    const message = document.createElement('div');
+    message.classList.add('h5p-structure-strip-unassigned-message');
+    message.innerText = this.params.l10n.unassignedTexts;
+    this.content.appendChild(message);
+
+    this.list = document.createElement('div');
+    this.list.classList.add('h5p-structure-strip-unassigned-list');
+    this.content.appendChild(this.list);
+
+    this.render();
+  }
+
+  /**
+   * Return the DOM for this class.
+   * @return {HTMLElement} DOM for this class.
+   */
+  getDOM() {
+    return this.content;
+  }
+
+  /**
+   * Get unassigned texts.
+   * @return {object[]} Unassigned texts with title and text.
+   */
+  getTexts() {
+    return this.texts;
+  }
+
+  /**
+   * Discard unassigned text.
+   * @param {number} index Index of text to discard.
+   */
+  discard(index) {
+    this.texts.splice(index, 1);
+    this.render();
+
+    this.callbacks.onDiscarded();
+  }
+
+  /**
+   * Render list of unassigned texts.
+   */
+  render() {
+    while (this.list.firstChild) {
+      this.list.removeChild(this.list.firstChild);
+    }
+
+    if (this.texts.length === 0) {
+      this.content.classList.add('h5p-structure-strip-display-none');
+      return;
+    }
+
+    this.content.classList.remove('h5p-structure-strip-display-none');
+
+    this.texts.forEach((item, index) => {
+      const entry = document.createElement('div');
+      entry.classList.add('h5p-structure-strip-unassigned-entry');
+
+      const title = document.createElement('div');
+      title.classList.add('h5p-structure-strip-unassigned-title');
+      title.innerText = item.title || '';
+      entry.appendChild(title);
+
+      // Read only, but students can still select and copy the text
+      const text = document.createElement('textarea');
+      text.classList.add('h5p-structure-strip-unassigned-text');
+      text.setAttribute('readonly', 'readonly');
+      text.setAttribute('rows', 3);
+      text.setAttribute('aria-label', item.title || this.params.l10n.unassignedTexts);
+      text.value = item.text;
+      entry.appendChild(text);
+
+      const buttonDiscard = document.createElement('button');
+      buttonDiscard.classList.add('h5p-structure-strip-unassigned-button-discard');
+      buttonDiscard.innerText = this.params.l10n.discard;
+      buttonDiscard.addEventListener('click', () => {
+        this.discard(index);
+      });
+      entry.appendChild(buttonDiscard);
+
+      this.list.appendChild(entry);
+    });
+  }
+}
@@ -31,6 +31,115 @@ class Util {
     return dparser.documentElement.textContent.replace(/(\r\n|\n|\r)/gm, '');
   }
 
+  /**
+   * Sanitize HTML. Removes all attributes and unwraps elements that are not allowed.
+   * @param {string} [html=''] HTML to sanitize.
+   * @param {string[]} [allowedTags] Tag names that are allowed.
+   * @return {string} Sanitized HTML.
+   */
+  static sanitizeHTML(html = '', allowedTags = Util.RICH_TEXT_TAGS) {
+    const sanitizeNode = (node) => {
+      [].slice.call(node.childNodes).forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          return;
+        }
+
+        if (child.nodeType !== Node.ELEMENT_NODE || ['script', 'style', 'template'].indexOf(child.tagName.toLowerCase()) !== -1) {
+          node.removeChild(child);
+          return;
+        }
+
+        sanitizeNode(child);
+
+        if (allowedTags.indexOf(child.tagName.toLowerCase()) === -1) {
+          // Keep content of elements that are not allowed
+          while (child.firstChild) {
+            node.insertBefore(child.firstChild, child);
+          }
+          node.removeChild(child);
+          return;
+        }
+
+        while (child.attributes.length > 0) {
+          child.removeAttribute(child.attributes[0].name);
+        }
+      });
+    };
+
+    const body = new DOMParser().parseFromString(html, 'text/html').body;
+    sanitizeNode(body);
+
+    return body.innerHTML;
+  }
+
+  /**
+   * Convert HTML to text as it is visible, using line breaks for block elements.
+   * @param {string} [html=''] HTML.
+   * @return {string} Text.
+   */
+  static htmlToText(html = '') {
+    const blockTags = ['p', 'div', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+    const getText = (node) => {
+      return [].slice.call(node.childNodes).reduce((text, child) => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          return text + child.nodeValue;
+        }
+
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+          return text;
+        }
+
+        const tagName = child.tagName.toLowerCase();
+        if (tagName === 'br') {
+          return `${text}\n`;
+        }
+        else if (['script', 'style', 'template'].indexOf(tagName) !== -1) {
+          return text;
+        }
+
+        const childText = getText(child);
+        if (blockTags.indexOf(tagName) === -1) {
+          return text + childText;
+        }
+
+        // Block elements start and end on a line of their own
+        const prefix = (text === '' || text.slice(-1) === '\n') ? text : `${text}\n`;
+        return `${prefix}${childText.replace(/\n$/, '')}\n`;
+      }, '');
+    };
+
+    return getText(new DOMParser().parseFromString(html, 'text/html').body)
+      .replace(/\u00a0/g, ' ')
+      .replace(/\n+$/, '');
+  }
+
+  /**
+   * Convert text to HTML with a paragraph for each line.
+   * @param {string} [text=''] Text.
+   * @return {string} HTML.
+   */
+  static textToHTML(text = '') {
+    return text
+      .split('\n')
+      .filter(line => line !== '')
+      .map(line => `<p>${Util.htmlEncode(line)}</p>`)
+      .join('');
+  }
+
+  /**
+   * Encode special HTML characters.
+   * @param {string} [input=''] Input string.
+   * @return {string} Encoded string.
+   */
+  static htmlEncode(input = '') {
+    return input
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Get closest parent node by selector.
    * @param {HTMLElement} node Node.
@@ -97,8 +206,24 @@ class Util {
    * Cmp. https://stackoverflow.com/a/30810322
    * @param {string} text Text to copy to clipboard.
    * @param {function} [callback] Callback accepting true/false as param.
+   * @param {string} [html] HTML version of text for browsers that support it.
    */
-  static copyTextToClipboard(text, callback = () => {}) {
+  static copyTextToClipboard(text, callback = () => {}, html) {
+    if (html && navigator.clipboard && typeof navigator.clipboard.write === 'function' && window.ClipboardItem) {
+      const item = new window.ClipboardItem({
+        'text/plain': new Blob([text], {type: 'text/plain'}),
+        'text/html': new Blob([html], {type: 'text/html'})
+      });
+
+      navigator.clipboard.write([item]).then(() => {
+        callback(true);
+      }, error => {
+        console.error('Cannot copy to clipboard: ', error);
+        callback(false);
+      });
+      return;
+    }
+
     if (!navigator.clipboard) {
       Util.fallbackCopyTextToClipboard(text, callback);
       return;
@@ -184,6 +309,120 @@ class Util {
     return languageCode;
   }
 
+  /**
+   * Compute text length in given unit.
+   * Uses Intl.Segmenter where available to segment non-Latin scripts properly.
+   * @param {string} [text=''] Text.
+   * @param {string} [unit='characters'] characters|charactersNoSpaces|words|sentences.
+   * @param {string} [languageTag] Language tag used for segmenting.
+   * @return {number} Text length in given unit.
+   */
+  static computeTextLength(text = '', unit = 'characters', languageTag) {
+    if (unit === 'charactersNoSpaces') {
+      return Util.countSegments(text.replace(/\s/g, ''), 'grapheme', languageTag);
+    }
+    else if (unit === 'words') {
+      return Util.countSegments(text, 'word', languageTag);
+    }
+    else if (unit === 'sentences') {
+      return Util.countSegments(text, 'sentence', languageTag);
+    }
+
+    return Util.countSegments(text, 'grapheme', languageTag);
+  }
+
+  /**
+   * Count segments of text.
+   * @param {string} text Text.
+   * @param {string} granularity grapheme|word|sentence.
+   * @param {string} [languageTag] Language tag used for segmenting.
+   * @return {number} Number of segments.
+   */
+  static countSegments(text, granularity, languageTag) {
+    return Util.getSegments(text, granularity, languageTag).length;
+  }
+
+  /**
+   * Get segments of text. Words will not contain surrounding punctuation.
+   * @param {string} text Text.
+   * @param {string} granularity grapheme|word|sentence.
+   * @param {string} [languageTag] Language tag used for segmenting.
+   * @return {string[]} Segments.
+   */
+  static getSegments(text, granularity, languageTag) {
+    if (typeof Intl === 'object' && typeof Intl.Segmenter === 'function') {
+      let segmenter;
+      try {
+        segmenter = new Intl.Segmenter(languageTag, {granularity: granularity});
+      }
+      catch (error) {
+        segmenter = new Intl.Segmenter(undefined, {granularity: granularity});
+      }
+
+      const segments = [];
+      for (const segment of segmenter.segment(text)) {
+        if (
+          granularity === 'grapheme' ||
+          granularity === 'word' && segment.isWordLike ||
+          granularity === 'sentence' && segment.segment.trim() !== ''
+        ) {
+          segments.push(segment.segment);
+        }
+      }
+
+      return segments;
+    }
+
+    // Fallbacks for browsers without Intl.Segmenter
+    if (granularity === 'word') {
+      return text.split(/\s+/)
+        .filter(word => /[^\s.,;:!?"'()[\]{}-]/.test(word))
+        .map(word => word.replace(/^[.,;:!?"'()[\]{}-]+|[.,;:!?"'()[\]{}-]+$/g, ''));
+    }
+    else if (granularity === 'sentence') {
+      return text.split(/[.!?\u3002\uff01\uff1f]+(?:\s+|$)/).filter(sentence => sentence.trim() !== '');
+    }
+
+    // Keep surrogate pairs as one character
+    return text.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+  }
+
+  /**
+   * Build keyword from word or regular expression written as /pattern/flags.
+   * Invalid regular expressions are matched literally.
+   * @param {string} keyword Word, phrase or regular expression.
+   * @return {object|null} Label and regular expression, null if empty.
+   */
+  static buildKeyword(keyword = '') {
+    keyword = Util.htmlDecode(keyword).trim();
+    if (keyword === '') {
+      return null;
+    }
+
+    const regExpParts = keyword.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regExpParts) {
+      // Global and sticky flags would make test() depend on previous matches
+      try {
+        return {
+          label: regExpParts[1],
+          regExp: new RegExp(regExpParts[1], regExpParts[2].replace(/[gy]/g, ''))
+        };
+      }
+      catch (error) {
+        // Pattern or flags are invalid, e.g. unbalanced parentheses
+      }
+    }
+
+    // Words must not be matched as part of other words
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const letter = '0-9A-Za-z\\u00C0-\\u024F\\u0370-\\u03FF\\u0400-\\u04FF';
+
+    return {
+      label: keyword,
+      regExp: new RegExp(`(^|[^${letter}])${escaped}(?=$|[^${letter}])`, 'i')
+    };
+  }
+
   /**
    * Compute HSV value.
    * @param {string} colorCode RGB color code in 6 char hex: #rrggbb.
@@ -274,6 +513,53 @@ class Util {
 
     return hex;
   }
+
+  /**
+   * Format duration as minutes and seconds.
+   * @param {number} seconds Duration in seconds.
+   * @return {string} Duration formatted as m:ss.
+   */
+  static formatTime(seconds) {
+    seconds = Math.max(0, Math.round(seconds));
+
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds % 60;
+
+    return `${minutes}:${(remainder < 10) ? '0' : ''}${remainder}`;
+  }
+
+  /**
+   * Select plural form that matches a number.
+   * Forms are given by plural category, e.g. 'one:word|other:words'.
+   * @param {string} [forms=''] Forms separated by |, each prefixed with zero, one, two, few, many or other.
+   * @param {number} count Number that form needs to match.
+   * @param {string} [languageTag] Language tag used for plural rules.
+   * @return {string} Plural form.
+   */
+  static selectPluralForm(forms = '', count, languageTag) {
+    const variants = {};
+    forms.split('|').forEach(form => {
+      const separator = form.indexOf(':');
+      const category = (separator === -1) ? 'other' : form.substr(0, separator).trim();
+      variants[category] = form.substr(separator + 1).trim();
+    });
+
+    // Fallback for browsers without Intl.PluralRules
+    let category = (count === 1) ? 'one' : 'other';
+    if (typeof Intl === 'object' && typeof Intl.PluralRules === 'function') {
+      try {
+        category = new Intl.PluralRules(languageTag).select(count);
+      }
+      catch (error) {
+        category = new Intl.PluralRules().select(count);
+      }
+    }
+
+    return (variants[category] !== undefined) ? variants[category] : (variants.other || '');
+  }
 }
 
+/** @constant {string[]} Tags allowed in rich text */
+Util.RICH_TEXT_TAGS = ['p', 'div', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li'];
+
 export default Util;
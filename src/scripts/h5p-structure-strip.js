@@ -1,5 +1,9 @@
 // Import required classes
 import StructureStripContent from './h5p-structure-strip-content';
+import StructureStripDrafts from './h5p-structure-strip-drafts';
+import StructureStripExporter from './h5p-structure-strip-exporter';
+import StructureStripTemplateChooser from './h5p-structure-strip-template-chooser';
+import StructureStripTimer from './h5p-structure-strip-timer';
 import Util from './h5p-structure-strip-util';
 
 /**
@@ -11,6 +15,7 @@ export default class StructureStrip extends H5P.Question {
    * @param {object} params Parameters passed by the editor.
    * @param {number} contentId Content's id.
    * @param {object} [extras] Saved state, metadata, etc.
+   * @param {boolean} [extras.reviewMode] If true, teacher can comment on read-only sections.
    */
   constructor(params, contentId, extras = {}) {
     super('structure-strip');
@@ -26,33 +31,156 @@ export default class StructureStrip extends H5P.Question {
     this.params = Util.extend({
       media: {},
       sections: [],
+      templates: [],
       behaviour: {
         enableSolutionsButton: true,
         enableRetry: true,
+        retryKeepsText: true,
         slack: 10,
         textLengthMin: 0,
         textLengthMax: Number.POSITIVE_INFINITY,
-        feedbackMode: 'whileTyping'
+        feedbackMode: 'whileTyping',
+        lengthUnit: 'characters',
+        summaryPosition: 'none',
+        miniMapOrientation: 'none',
+        enableRichText: false,
+        enableExport: true,
+        enableImport: true,
+        copyFormat: 'paragraphs',
+        enableScoring: false,
+        passPercentage: 100,
+        timeLimit: 0,
+        enableAutosave: true,
+        readability: {
+          showReadability: false
+        }
       },
       l10n: {
         checkAnswer: 'Check answer',
         copy: 'Copy',
+        export: 'Export',
+        exportTitle: 'Export your text',
+        exportDocx: 'Word document (DOCX)',
+        exportMarkdown: 'Markdown',
+        exportHTML: 'Web page (HTML)',
+        exportText: 'Plain text',
+        importText: 'Import text',
+        importTitle: 'Import your text',
+        importInstructions: 'Paste your text or choose a file (.txt, .md or .docx).',
+        importChooseFile: 'Choose file',
+        importFileError: 'The file could not be read.',
+        importProposeSplit: 'Propose split',
+        importAdjustSplit: 'Move the beginnings of the sections to adjust the split. Texts in the sections will be replaced.',
+        importBack: 'Back',
+        importDistribute: 'Distribute text',
         showSolution: 'Show solution',
+        sampleText: 'Sample text',
+        comments: 'Teacher comments',
+        addComment: 'Add comment',
+        removeComment: 'Remove',
+        removeInstanceHeader: 'Remove section?',
+        removeInstanceText: 'Your text in "@title" will be lost.',
+        removeInstanceConfirm: 'Remove',
+        cancel: 'Cancel',
+        rubricTitle: 'Which criteria did you meet?',
+        rubricPoints: '@points points',
+        structure: 'Structure',
+        chooseStructure: 'Choose a structure for your text',
+        changeStructure: 'Change structure',
+        changeStructureHeader: 'Change structure?',
+        changeStructureText: 'Your texts in these sections do not fit into the new structure and will be lost: @titles.',
+        changeStructureConfirm: 'Change structure',
+        restoreVersion: 'Restore version',
+        draftHistoryTitle: 'Restore an earlier version',
+        noDrafts: 'There are no earlier versions yet.',
+        restoreDraft: 'Restore',
+        restoreLatestDraftHeader: 'Restore your text?',
+        restoreLatestDraftText: 'Your browser kept a text that you wrote here earlier but that was not saved. Do you want to restore it?',
+        timeRemaining: 'Time left: @time',
+        timeBudget: '@spent of about @budget',
+        timeUp: 'Time is up. Your text has been submitted.',
         tryAgain: 'Retry',
         allSectionsGood: 'Your sections\' lenghts are all fine.',
-        sectionTooShort: 'Your @title is too short. You need at least @char more characters.',
-        sectionTooLong: 'Your @title is too long. Remove at least @chars characters.',
-        tooShort: '@chars characters too short',
-        tooLong: '@chars characters too long',
+        sectionTooShort: 'Your section "@title" is too short. You need at least @chars more @unit.',
+        sectionTooLong: 'Your section "@title" is too long. Remove at least @chars @unit.',
+        tooShort: '@chars @unit too short',
+        tooLong: '@chars @unit too long',
+        sectionTooShortAbsolute: 'Your section "@title" is shorter than the required minimum length. You need at least @chars more @unit.',
+        sectionTooLongAbsolute: 'Your section "@title" is longer than the allowed maximum length. Remove at least @chars @unit.',
+        tooShortAbsolute: '@chars @unit below minimum',
+        tooLongAbsolute: '@chars @unit above maximum',
+        unitCharacters: 'one:character|other:characters',
+        unitCharactersNoSpaces: 'one:character|other:characters',
+        unitWords: 'one:word|other:words',
+        unitSentences: 'one:sentence|other:sentences',
+        missingWords: 'missing: @words',
+        forbiddenWords: 'avoid: @words',
+        sectionMissingWords: 'Your section "@title" should contain: @words.',
+        sectionForbiddenWords: 'Your section "@title" should not contain: @words.',
+        readabilityMetrics: '@sentenceLength words per sentence, @longWords % long words',
+        readabilityReadingEase: 'reading ease @readingEase',
+        sentencesTooShort: 'sentences too short',
+        sentencesTooLong: 'sentences too long',
+        tooFewLongWords: 'too few long words',
+        tooManyLongWords: 'too many long words',
+        readingEaseTooLow: 'hard to read',
+        readingEaseTooHigh: 'very easy to read',
+        sectionSentencesTooShort: 'The sentences in your section "@title" are short on average (@value words). Try to combine some of them.',
+        sectionSentencesTooLong: 'The sentences in your section "@title" are long on average (@value words). Try to split some of them.',
+        sectionTooFewLongWords: 'Your section "@title" uses few long words (@value %). Try to use more precise terms.',
+        sectionTooManyLongWords: 'Your section "@title" uses many long words (@value %). Try to use simpler words.',
+        sectionReadingEaseTooLow: 'Your section "@title" is hard to read (reading ease @value). Try to use shorter sentences and simpler words.',
+        sectionReadingEaseTooHigh: 'Your section "@title" is very easy to read (reading ease @value). Try to use more elaborate language.',
         copyToClipboardError: 'Your text could not be copied to the clipboard',
         copyToClipboardSuccess: 'Your text was copied to the clipboard',
         section: 'Section',
+        unassignedTexts: 'These texts could not be assigned to a section after the task was changed. You can copy them to the sections where they belong.',
+        discard: 'Discard',
+        summaryTotalLength: 'Total length: @total',
+        summaryBelowMinimum: '@chars @unit below minimum total length',
+        summaryAboveMaximum: '@chars @unit above maximum total length',
+        summaryWithinLimits: 'Within total length limits',
+        summaryTargetShare: 'Target',
+        summaryActualShare: 'Yours',
         messageNoSection: 'There was no section given for this structure strip.'
       },
       a11y: {
         copyToClipboard: 'Copy text to clipboard',
+        exportFile: 'Export text as file',
+        miniMap: 'Proportions of sections',
+        miniMapSection: '@title: target @target %, yours @actual %',
+        importInput: 'Text to import',
+        importMoveUp: 'Start @title one paragraph earlier',
+        importMoveDown: 'Start @title one paragraph later',
+        textImported: 'Distributed the imported text into the sections',
         feedback: 'Feedback',
-        closeWindow: 'Close window'
+        comment: 'Comment on this section, select text first to comment on it',
+        moveSection: 'Move section, use arrow keys to change position',
+        sectionMoved: 'Moved @title to position @position of @total',
+        addInstance: 'Add another section like this one',
+        removeInstance: 'Remove this section',
+        instanceAdded: 'Added @title',
+        instanceRemoved: 'Removed @title',
+        currentStructure: 'Current structure',
+        structureChanged: 'Changed structure to @name',
+        timeAlmostUp: 'One minute left',
+        draftRestored: 'Restored earlier version of @title',
+        latestDraftRestored: 'Restored your earlier text',
+        undo: 'Undo',
+        redo: 'Redo',
+        undoneText: 'Undid change in @title',
+        redoneText: 'Redid change in @title',
+        undoneStructure: 'Undid change of sections',
+        redoneStructure: 'Redid change of sections',
+        nothingToUndo: 'Nothing to undo',
+        nothingToRedo: 'Nothing to redo',
+        closeWindow: 'Close window',
+        yourResult: 'You got :num out of :total points',
+        bold: 'Bold',
+        italic: 'Italic',
+        underline: 'Underline',
+        bulletedList: 'Bulleted list',
+        numberedList: 'Numbered list'
       }
     }, params);
 
@@ -67,8 +195,226 @@ export default class StructureStrip extends H5P.Question {
     const defaultLanguage = (this.extras && this.extras.metadata) ? this.extras.metadata.defaultLanguage || 'en' : 'en';
     this.languageTag = Util.formatLanguageCode(defaultLanguage);
 
+    // Structures that students can choose from, the sections form the first one
+    this.templates = this.buildTemplates();
+
+    // Sections need stable ids to assign saved texts correctly
+    this.templates.forEach(template => {
+      this.addSectionIds(template.sections);
+    });
+
+    // Review mode can be requested by the platform or by a flag in the saved state
+    this.isReviewMode = this.extras.reviewMode === true ||
+      (this.extras.previousState && this.extras.previousState.reviewMode === true) || false;
+
+    // Drafts are kept in the browser as a safety net, but not for the teacher's review
+    if (this.params.behaviour.enableAutosave && !this.isReviewMode) {
+      const userId = (window.H5PIntegration && window.H5PIntegration.user) ?
+        window.H5PIntegration.user.id :
+        undefined;
+
+      this.drafts = new StructureStripDrafts({
+        contentId: this.contentId,
+        subContentId: this.extras.subContentId,
+        userId: userId
+      });
+    }
+
+    const previousState = this.extras.previousState || {};
+
+    // Students are offered to restore the latest draft if the platform did not save the state
+    if (!StructureStrip.hasTexts(previousState) && this.drafts) {
+      this.unsavedDraft = this.drafts.getLatestState();
+    }
+
     // this.previousState now holds the saved content state of the previous session
-    this.previousState = this.extras.previousState || {};
+    this.previousState = this.migrateState(previousState);
+
+    // Students choose a structure first unless there's no choice or they already started writing
+    this.template = (this.templates.length === 1 || StructureStrip.hasTexts(previousState)) ?
+      this.getTemplate(this.previousState.template) :
+      null;
+  }
+
+  /**
+   * Determine whether a state contains texts of sections.
+   * @param {object} state State.
+   * @return {boolean} True, if state contains texts of sections.
+   */
+  static hasTexts(state) {
+    return Array.isArray(state.sections) || Array.isArray(state.texts);
+  }
+
+  /**
+   * Build structure templates. The sections form the first template.
+   * @return {object[]} Templates with id, name, description and sections.
+   */
+  buildTemplates() {
+    const templates = [{
+      id: StructureStrip.DEFAULT_TEMPLATE_ID,
+      name: Util.htmlDecode(this.params.structureName || `${this.params.l10n.structure} 1`),
+      description: Util.htmlDecode(this.params.structureDescription || ''),
+      sections: this.params.sections
+    }];
+
+    // Ids are stored by the upgrade script, structures added later are identified by their name
+    const usedIds = this.params.templates
+      .filter(template => template.id)
+      .map(template => template.id);
+
+    this.params.templates
+      .filter(template => Array.isArray(template.sections) && template.sections.length > 0)
+      .forEach((template, index) => {
+        const name = Util.htmlDecode(template.name || `${this.params.l10n.structure} ${index + 2}`);
+
+        templates.push({
+          id: template.id || StructureStrip.buildUnusedId(`name-${name}`, usedIds),
+          name: name,
+          description: Util.htmlDecode(template.description || ''),
+          sections: template.sections
+        });
+      });
+
+    return templates;
+  }
+
+  /**
+   * Get template.
+   * @param {string} [id] Id of template.
+   * @return {object} Template with that id or first template if there is none.
+   */
+  getTemplate(id) {
+    return this.templates.filter(template => template.id === id)[0] || this.templates[0];
+  }
+
+  /**
+   * Add ids to sections that were created without an id. The upgrade script
+   * stores ids once, so only sections added afterwards are identified by their
+   * title. Sections of different templates that share a title will then share
+   * their text when the template is changed.
+   * @param {object[]} sections Section definitions.
+   */
+  addSectionIds(sections) {
+    const usedIds = sections
+      .filter(section => section.id)
+      .map(section => section.id);
+
+    sections.forEach((section, index) => {
+      if (section.id) {
+        return;
+      }
+
+      const title = Util.htmlDecode(section.title || `${this.params.l10n.section} ${index + 1}`);
+      section.id = StructureStrip.buildUnusedId(`title-${title}`, usedIds);
+    });
+
+    // Sub-sections are identified by their title within their parent section
+    sections
+      .filter(section => StructureStripContent.hasChildren(section))
+      .forEach(section => {
+        const usedChildIds = section.children
+          .filter(child => child.id)
+          .map(child => child.id);
+
+        section.children.forEach((child, index) => {
+          if (child.id) {
+            return;
+          }
+
+          const title = Util.htmlDecode(child.title || `${index + 1}`);
+          child.id = StructureStrip.buildUnusedId(`${section.id}/title-${title}`, usedChildIds);
+        });
+      });
+  }
+
+  /**
+   * Build id that is not used yet.
+   * @param {string} prefix Prefix of id, followed by a counter.
+   * @param {string[]} usedIds Ids that are used already, new id will be added.
+   * @return {string} Unused id.
+   */
+  static buildUnusedId(prefix, usedIds) {
+    let count = 1;
+    while (usedIds.indexOf(`${prefix}-${count}`) !== -1) {
+      count++;
+    }
+
+    const id = `${prefix}-${count}`;
+    usedIds.push(id);
+
+    return id;
+  }
+
+  /**
+   * Migrate previous state to the current state format. Texts that cannot
+   * be assigned to a section anymore are kept as unassigned texts.
+   * @param {object} [state={}] Previous state.
+   * @return {object} Migrated state.
+   */
+  migrateState(state = {}) {
+    const template = this.getTemplate(state.template);
+
+    const migratedState = {
+      version: StructureStrip.STATE_VERSION,
+      template: template.id,
+      sections: [],
+      unassigned: Array.isArray(state.unassigned) ? state.unassigned.slice() : [],
+      timeElapsed: (typeof state.timeElapsed === 'number') ? state.timeElapsed : 0
+    };
+
+    let previousSections = [];
+    if (Array.isArray(state.sections)) {
+      previousSections = state.sections;
+    }
+    else if (Array.isArray(state.texts)) {
+      // Version 1 stored texts by position only
+      previousSections = state.texts.map((text, index) => {
+        return {
+          id: (this.params.sections[index]) ? this.params.sections[index].id : null,
+          title: `${this.params.l10n.section} ${index + 1}`,
+          text: text
+        };
+      });
+    }
+
+    previousSections.forEach(previousSection => {
+      if (typeof previousSection.text !== 'string') {
+        return;
+      }
+
+      // Instances of repeatable sections are kept up to their maximum number
+      const definition = StructureStripContent.getWritableDefinitions(template.sections).filter(section => {
+        return section.id === previousSection.id ||
+          section.repeatable && StructureStripContent.isInstanceId(previousSection.id, section.id);
+      })[0];
+      const numberOfInstances = (definition) ?
+        migratedState.sections.filter(section => StructureStripContent.isInstanceId(section.id, definition.id)).length :
+        0;
+
+      const isAssignable =
+        definition &&
+        numberOfInstances < StructureStripContent.getInstanceBounds(definition).max &&
+        !migratedState.sections.some(section => section.id === previousSection.id);
+
+      if (isAssignable) {
+        migratedState.sections.push({
+          id: previousSection.id,
+          text: previousSection.text,
+          html: previousSection.html,
+          comments: previousSection.comments,
+          rubric: previousSection.rubric,
+          timeSpent: previousSection.timeSpent
+        });
+      }
+      else if (previousSection.text.trim() !== '') {
+        migratedState.unassigned.push({
+          title: previousSection.title,
+          text: previousSection.text
+        });
+      }
+    });
+
+    return migratedState;
   }
 
   /**
@@ -120,41 +466,75 @@ export default class StructureStrip extends H5P.Question {
       this.setIntroduction(introduction);
     }
 
-    this.content = new StructureStripContent(
-      {
-        feedbackMode: this.params.behaviour.feedbackMode,
-        l10n: {
-          allSectionsGood: this.params.l10n.allSectionsGood,
-          sectionTooShort: this.params.l10n.sectionTooShort,
-          sectionTooLong: this.params.l10n.sectionTooLong,
-          tooShort: this.params.l10n.tooShort,
-          tooLong: this.params.l10n.tooLong,
-          section: this.params.l10n.section
+    this.wrapper = document.createElement('div');
+    this.wrapper.classList.add('h5p-structure-strip-wrapper');
+
+    // Countdown for timed writing, starts when students start writing
+    if (this.params.behaviour.timeLimit > 0) {
+      this.timer = new StructureStripTimer(
+        {
+          timeLimit: this.params.behaviour.timeLimit * 60,
+          timeElapsed: this.previousState.timeElapsed,
+          l10n: {
+            timeRemaining: this.params.l10n.timeRemaining
+          }
         },
-        a11y: {
-          closeWindow: this.params.a11y.closeWindow,
-          showHints: this.params.a11y.showHints
+        {
+          onAlmostUp: () => {
+            this.read(this.params.a11y.timeAlmostUp);
+          },
+          onExpired: () => {
+            this.handleTimeUp();
+          },
+          onTick: () => {
+            this.content.updateTimes();
+          }
+        }
+      );
+      this.wrapper.appendChild(this.timer.getDOM());
+    }
+
+    if (this.templates.length > 1) {
+      this.templateChooser = new StructureStripTemplateChooser(
+        {
+          templates: this.templates,
+          l10n: {
+            chooseStructure: this.params.l10n.chooseStructure,
+            section: this.params.l10n.section
+          },
+          a11y: {
+            currentStructure: this.params.a11y.currentStructure
+          }
         },
-        previousState: this.previousState,
-        sections: this.params.sections,
-        slack: this.params.behaviour.slack,
-        taskDescription: this.params.taskDescription,
-        textLengthMax: this.params.behaviour.textLengthMax,
-        textLengthMin: this.params.behaviour.textLengthMin
-      },
-      {
-        onInteracted: () => {
-          this.handleInteracted();
+        {
+          onChosen: (id) => {
+            this.handleTemplateChosen(id);
+          }
         }
-      }
-    );
+      );
+    }
+
+    if (this.template) {
+      this.buildContent();
+    }
+    else {
+      this.wrapper.appendChild(this.templateChooser.getDOM());
+    }
 
     // Register content with H5P.Question
-    this.setContent(this.content.getDOM());
+    this.setContent(this.wrapper);
 
     // Register Buttons
     this.addButtons();
 
+    // Time may have run out in a previous session, texts can still be reviewed
+    if (this.content && this.timer && this.timer.isExpired() && !this.isReviewMode) {
+      this.lockTask();
+    }
+
+    // Used by H5P.XAPIEvent to compute the duration
+    this.setActivityStarted();
+
     // Wait for content DOM to be completed to handle DOM initialization
     if (document.readyState === 'complete') {
       window.requestAnimationFrame(() => {
@@ -171,54 +551,197 @@ export default class StructureStrip extends H5P.Question {
       });
     }
 
+    this.startAutosave();
+
     this.on('resize', () => {
-      this.content.resize();
+      if (this.content) {
+        this.content.resize();
+      }
     });
   }
 
+  /**
+   * Build content for the current template, replacing previous content.
+   */
+  buildContent() {
+    if (this.content) {
+      this.wrapper.removeChild(this.content.getDOM());
+    }
+
+    this.content = new StructureStripContent(
+      {
+        feedbackMode: this.params.behaviour.feedbackMode,
+        languageTag: this.languageTag,
+        lengthUnit: this.params.behaviour.lengthUnit,
+        l10n: {
+          allSectionsGood: this.params.l10n.allSectionsGood,
+          sectionTooShort: this.params.l10n.sectionTooShort,
+          sectionTooLong: this.params.l10n.sectionTooLong,
+          tooShort: this.params.l10n.tooShort,
+          tooLong: this.params.l10n.tooLong,
+          sectionTooShortAbsolute: this.params.l10n.sectionTooShortAbsolute,
+          sectionTooLongAbsolute: this.params.l10n.sectionTooLongAbsolute,
+          tooShortAbsolute: this.params.l10n.tooShortAbsolute,
+          tooLongAbsolute: this.params.l10n.tooLongAbsolute,
+          unitCharacters: this.params.l10n.unitCharacters,
+          unitCharactersNoSpaces: this.params.l10n.unitCharactersNoSpaces,
+          unitWords: this.params.l10n.unitWords,
+          unitSentences: this.params.l10n.unitSentences,
+          missingWords: this.params.l10n.missingWords,
+          forbiddenWords: this.params.l10n.forbiddenWords,
+          sectionMissingWords: this.params.l10n.sectionMissingWords,
+          sectionForbiddenWords: this.params.l10n.sectionForbiddenWords,
+          readabilityMetrics: this.params.l10n.readabilityMetrics,
+          readabilityReadingEase: this.params.l10n.readabilityReadingEase,
+          sentencesTooShort: this.params.l10n.sentencesTooShort,
+          sentencesTooLong: this.params.l10n.sentencesTooLong,
+          tooFewLongWords: this.params.l10n.tooFewLongWords,
+          tooManyLongWords: this.params.l10n.tooManyLongWords,
+          readingEaseTooLow: this.params.l10n.readingEaseTooLow,
+          readingEaseTooHigh: this.params.l10n.readingEaseTooHigh,
+          sectionSentencesTooShort: this.params.l10n.sectionSentencesTooShort,
+          sectionSentencesTooLong: this.params.l10n.sectionSentencesTooLong,
+          sectionTooFewLongWords: this.params.l10n.sectionTooFewLongWords,
+          sectionTooManyLongWords: this.params.l10n.sectionTooManyLongWords,
+          sectionReadingEaseTooLow: this.params.l10n.sectionReadingEaseTooLow,
+          sectionReadingEaseTooHigh: this.params.l10n.sectionReadingEaseTooHigh,
+          section: this.params.l10n.section,
+          sampleText: this.params.l10n.sampleText,
+          timeBudget: this.params.l10n.timeBudget,
+          draftHistoryTitle: this.params.l10n.draftHistoryTitle,
+          noDrafts: this.params.l10n.noDrafts,
+          restoreDraft: this.params.l10n.restoreDraft,
+          comments: this.params.l10n.comments,
+          addComment: this.params.l10n.addComment,
+          removeComment: this.params.l10n.removeComment,
+          removeInstanceHeader: this.params.l10n.removeInstanceHeader,
+          removeInstanceText: this.params.l10n.removeInstanceText,
+          removeInstanceConfirm: this.params.l10n.removeInstanceConfirm,
+          cancel: this.params.l10n.cancel,
+          rubricTitle: this.params.l10n.rubricTitle,
+          rubricPoints: this.params.l10n.rubricPoints,
+          unassignedTexts: this.params.l10n.unassignedTexts,
+          discard: this.params.l10n.discard,
+          summaryTotalLength: this.params.l10n.summaryTotalLength,
+          summaryBelowMinimum: this.params.l10n.summaryBelowMinimum,
+          summaryAboveMaximum: this.params.l10n.summaryAboveMaximum,
+          summaryWithinLimits: this.params.l10n.summaryWithinLimits,
+          summaryTargetShare: this.params.l10n.summaryTargetShare,
+          summaryActualShare: this.params.l10n.summaryActualShare,
+          exportTitle: this.params.l10n.exportTitle,
+          exportDocx: this.params.l10n.exportDocx,
+          exportMarkdown: this.params.l10n.exportMarkdown,
+          exportHTML: this.params.l10n.exportHTML,
+          exportText: this.params.l10n.exportText,
+          importTitle: this.params.l10n.importTitle,
+          importInstructions: this.params.l10n.importInstructions,
+          importChooseFile: this.params.l10n.importChooseFile,
+          importFileError: this.params.l10n.importFileError,
+          importProposeSplit: this.params.l10n.importProposeSplit,
+          importAdjustSplit: this.params.l10n.importAdjustSplit,
+          importBack: this.params.l10n.importBack,
+          importDistribute: this.params.l10n.importDistribute
+        },
+        a11y: {
+          closeWindow: this.params.a11y.closeWindow,
+          showHints: this.params.a11y.showHints,
+          comment: this.params.a11y.comment,
+          moveSection: this.params.a11y.moveSection,
+          sectionMoved: this.params.a11y.sectionMoved,
+          addInstance: this.params.a11y.addInstance,
+          removeInstance: this.params.a11y.removeInstance,
+          instanceAdded: this.params.a11y.instanceAdded,
+          instanceRemoved: this.params.a11y.instanceRemoved,
+          draftRestored: this.params.a11y.draftRestored,
+          miniMap: this.params.a11y.miniMap,
+          miniMapSection: this.params.a11y.miniMapSection,
+          importInput: this.params.a11y.importInput,
+          importMoveUp: this.params.a11y.importMoveUp,
+          importMoveDown: this.params.a11y.importMoveDown,
+          textImported: this.params.a11y.textImported,
+          undo: this.params.a11y.undo,
+          redo: this.params.a11y.redo,
+          undoneText: this.params.a11y.undoneText,
+          redoneText: this.params.a11y.redoneText,
+          undoneStructure: this.params.a11y.undoneStructure,
+          redoneStructure: this.params.a11y.redoneStructure,
+          nothingToUndo: this.params.a11y.nothingToUndo,
+          nothingToRedo: this.params.a11y.nothingToRedo,
+          bold: this.params.a11y.bold,
+          italic: this.params.a11y.italic,
+          underline: this.params.a11y.underline,
+          bulletedList: this.params.a11y.bulletedList,
+          numberedList: this.params.a11y.numberedList
+        },
+        miniMapOrientation: this.params.behaviour.miniMapOrientation,
+        previousState: this.previousState,
+        readability: this.params.behaviour.readability,
+        reviewMode: this.isReviewMode,
+        richText: this.params.behaviour.enableRichText,
+        sections: this.template.sections,
+        slack: this.params.behaviour.slack,
+        summaryPosition: this.params.behaviour.summaryPosition,
+        taskDescription: this.params.taskDescription,
+        textLengthMax: this.params.behaviour.textLengthMax,
+        textLengthMin: this.params.behaviour.textLengthMin,
+        timeLimit: this.params.behaviour.timeLimit * 60
+      },
+      {
+        onExport: (format) => {
+          this.handleExport(format);
+        },
+        onInteracted: () => {
+          this.handleInteracted();
+        },
+        onRead: (text) => {
+          this.read(text);
+        },
+        onRubricChanged: () => {
+          this.handleRubricChanged();
+        },
+        onSectionFocused: () => {
+          this.handleSectionFocused();
+        }
+      }
+    );
+
+    this.wrapper.appendChild(this.content.getDOM());
+
+    if (this.container) {
+      this.content.setContainer(this.container);
+    }
+  }
+
   /**
    * Add all the buttons that shall be passed to H5P.Question.
    */
   addButtons() {
-    // Show solution button
+    // Buttons that need content are shown once a template has been chosen
+    const hasContent = this.content !== undefined;
+
+    // Show solution button, will be shown after checking in onRequest mode
     this.addButton('show-solution', this.params.l10n.showSolution, () => {
-      // TODO: Implement something useful to do on click
-    }, false, {}, {});
+      this.showSolutions();
+    }, this.isSolutionAvailable() && (this.params.behaviour.feedbackMode !== 'onRequest' || this.isReviewMode), {}, {});
 
-    // Check answer button
-    if (this.params.behaviour.feedbackMode === 'onRequest') {
+    // Check answer button, text cannot be changed in review mode
+    if (this.params.behaviour.feedbackMode === 'onRequest' && !this.isReviewMode) {
       this.addButton('check-answer', this.params.l10n.checkAnswer, () => {
-        const feedback = this.content.checkAnswer();
-        this.setFeedback(
-          feedback,
-          null,
-          null,
-          this.params.a11y.feedback
-        );
-
-        this.hideButton('check-answer');
-
-        if (this.params.behaviour.enableRetry) {
-          this.showButton('try-again');
-        }
-      }, true, {}, {});
+        this.checkAnswer();
+      }, hasContent, {}, {});
     }
 
     // Retry button
     this.addButton('try-again', this.params.l10n.tryAgain, () => {
-      this.removeFeedback();
-      this.showButton('check-answer');
-      this.hideButton('try-again');
-
-      this.resetTask();
+      this.resetTask({keepText: this.params.behaviour.retryKeepsText});
 
       this.trigger('resize');
     }, false, {}, {});
 
     // Copy to clipboard button
     this.addButton('copy', this.params.l10n.copy, () => {
-      const text = this.content.getText(true);
-      Util.copyTextToClipboard(text, (result) => {
+      const copyContent = this.buildCopyContent(this.params.behaviour.copyFormat);
+      Util.copyTextToClipboard(copyContent.text, (result) => {
         const button = this.buttonCopy;
         const message = (result === true) ? this.params.l10n.copyToClipboardSuccess : this.params.l10n.copyToClipboardError;
 
@@ -231,8 +754,149 @@ export default class StructureStrip extends H5P.Question {
           offsetVertical: -5,
           vertical: 'centered'
         }});
-      });
-    }, true, {'aria-label': this.params.l10n.copyToClipboard}, {});
+      }, copyContent.html);
+    }, hasContent, {'aria-label': this.params.l10n.copyToClipboard}, {});
+
+    // Export button
+    if (this.params.behaviour.enableExport) {
+      this.addButton('export', this.params.l10n.export, () => {
+        this.content.showExportOptions();
+      }, hasContent, {'aria-label': this.params.a11y.exportFile}, {});
+    }
+
+    // Import text button, text cannot be changed in review mode
+    if (this.params.behaviour.enableImport && !this.isReviewMode) {
+      this.addButton('import-text', this.params.l10n.importText, () => {
+        this.content.showImporter();
+      }, hasContent, {}, {});
+    }
+
+    // Restore version button
+    if (this.drafts && this.drafts.isAvailable()) {
+      this.addButton('restore-version', this.params.l10n.restoreVersion, () => {
+        this.saveDraft();
+        this.content.showDraftHistory(this.drafts.getSnapshots());
+      }, hasContent, {}, {});
+    }
+
+    // Change structure button, text cannot be changed in review mode
+    if (this.templateChooser && !this.isReviewMode) {
+      this.addButton('change-structure', this.params.l10n.changeStructure, () => {
+        this.showTemplateChooser();
+      }, hasContent, {}, {});
+    }
+  }
+
+  /**
+   * Check answer.
+   */
+  checkAnswer() {
+    // Text is submitted, so time is up for this attempt
+    if (this.timer) {
+      this.timer.stop();
+    }
+
+    this.feedback = this.content.checkAnswer();
+    this.showFeedback();
+
+    this.hideButton('check-answer');
+    this.hideButton('change-structure');
+    if (this.params.behaviour.feedbackMode === 'onRequest') {
+      this.hideButton('import-text');
+    }
+
+    this.trigger(this.getXAPIAnswerEvent());
+
+    if (this.isSolutionAvailable()) {
+      this.showButton('show-solution');
+    }
+
+    if (this.params.behaviour.enableRetry) {
+      this.showButton('try-again');
+    }
+  }
+
+  /**
+   * Lock texts and buttons that would change them.
+   */
+  lockTask() {
+    if (this.timer) {
+      this.timer.stop();
+    }
+
+    this.stopAutosave();
+
+    this.content.disableSections();
+
+    this.hideButton('check-answer');
+    this.hideButton('import-text');
+    this.hideButton('change-structure');
+
+    if (this.params.behaviour.enableRetry) {
+      this.showButton('try-again');
+    }
+  }
+
+  /**
+   * Show feedback of last check with current score.
+   */
+  showFeedback() {
+    if (this.params.behaviour.enableScoring) {
+      this.setFeedback(
+        this.feedback,
+        this.getScore(),
+        this.getMaxScore(),
+        this.params.a11y.yourResult
+      );
+    }
+    else {
+      this.setFeedback(
+        this.feedback,
+        null,
+        null,
+        this.params.a11y.feedback
+      );
+    }
+  }
+
+  /**
+   * Build content to copy to the clipboard.
+   * @param {string} format paragraphs|paragraphsWithTitles|markdown|html.
+   * @return {object} Plain text and optional HTML version of text.
+   */
+  buildCopyContent(format) {
+    const sections = this.content.getSectionTexts().filter(section => section.text !== '');
+
+    const html = sections
+      .map(section => `<h2>${Util.htmlEncode(section.title)}</h2>${section.html}`)
+      .join('');
+
+    if (format === 'paragraphsWithTitles') {
+      return {
+        text: sections.map(section => `${section.title}\n${section.text}`).join('\n\n'),
+        html: html
+      };
+    }
+    else if (format === 'markdown') {
+      return {
+        text: sections
+          .map(section => `## ${section.title}\n\n${StructureStripExporter.htmlToMarkdown(section.html)}`)
+          .join('\n\n'),
+        html: html
+      };
+    }
+    else if (format === 'html') {
+      // Plain text carries the markup for pasting into code editors
+      return {
+        text: html,
+        html: html
+      };
+    }
+
+    return {
+      text: this.content.getText(true),
+      html: (this.params.behaviour.enableRichText) ? this.content.getHTML(true) : undefined
+    };
   }
 
   /**
@@ -241,7 +905,11 @@ export default class StructureStrip extends H5P.Question {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-1}
    */
   getAnswerGiven() {
-    return false;
+    if (!this.content) {
+      return false;
+    }
+
+    return this.content.getText().some(text => text.trim() !== '');
   }
 
   /**
@@ -250,7 +918,38 @@ export default class StructureStrip extends H5P.Question {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-2}
    */
   getScore() {
-    return 0;
+    if (!this.params.behaviour.enableScoring || !this.content) {
+      return 0;
+    }
+
+    const numberOfSections = this.content.getNumberOfSections();
+    if (numberOfSections === 0) {
+      return 0;
+    }
+
+    // Each section within the length range earns its share of the length score
+    const lengthScore = Math.round(
+      this.getLengthMaxScore() * this.content.getNumberOfSectionsWithinRange() / numberOfSections
+    );
+
+    return lengthScore + this.content.getRubricScore();
+  }
+
+  /**
+   * Get maximum score for section lengths.
+   * @return {number} Maximum score for section lengths.
+   */
+  getLengthMaxScore() {
+    if (this.params.behaviour.maxScore) {
+      return this.params.behaviour.maxScore;
+    }
+
+    // Instances of repeatable sections and child sections are scored as well
+    if (this.content) {
+      return this.content.getNumberOfSections();
+    }
+
+    return (this.template) ? this.template.sections.length : 0;
   }
 
   /**
@@ -259,7 +958,13 @@ export default class StructureStrip extends H5P.Question {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-3}
    */
   getMaxScore() {
-    return 0;
+    if (!this.params.behaviour.enableScoring) {
+      return 0;
+    }
+
+    const rubricMaxScore = (this.content) ? this.content.getRubricMaxScore() : 0;
+
+    return this.getLengthMaxScore() + rubricMaxScore;
   }
 
   /**
@@ -267,17 +972,81 @@ export default class StructureStrip extends H5P.Question {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-4}
    */
   showSolutions() {
-    // TODO: Implement showing the solutions
+    if (!this.content) {
+      return;
+    }
+
+    // Students may keep on typing in whileTyping mode which has no retry button
+    if (this.params.behaviour.feedbackMode === 'onRequest') {
+      this.content.disableSections();
+    }
+
+    this.content.showSolutions();
+    this.hideButton('show-solution');
 
     this.trigger('resize');
   }
 
+  /**
+   * Determine whether showing the solution is possible.
+   * @return {boolean} True, if solution button is enabled and sample texts are available.
+   */
+  isSolutionAvailable() {
+    return this.params.behaviour.enableSolutionsButton && this.content && this.content.hasSolutions();
+  }
+
   /**
    * Reset task.
+   * @param {object} [params={}] Parameters.
+   * @param {boolean} [params.keepText=false] If true, the texts will be kept.
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-5}
    */
-  resetTask() {
-    this.content.enableSections();
+  resetTask(params = {}) {
+    // Student's text must not be removed while reviewing
+    if (!this.content || this.isReviewMode) {
+      return;
+    }
+
+    // Keep texts that are about to be removed
+    if (!params.keepText) {
+      this.saveDraft();
+    }
+
+    this.content.reset({keepText: params.keepText});
+
+    // Each attempt has the full time
+    if (this.timer) {
+      this.timer.reset();
+    }
+
+    // Structure was fixed by checking or locking
+    this.showButton('change-structure');
+
+    // Autosave was stopped if the task was locked
+    this.startAutosave();
+
+    this.resetFeedback();
+  }
+
+  /**
+   * Remove feedback and show the buttons of a task that has not been checked.
+   */
+  resetFeedback() {
+    window.clearTimeout(this.rubricAnsweredTimeout);
+    this.feedback = null;
+    this.removeFeedback();
+    this.hideButton('try-again');
+    if (this.params.behaviour.feedbackMode === 'onRequest') {
+      this.showButton('check-answer');
+    }
+    this.showButton('import-text');
+
+    if (this.isSolutionAvailable() && this.params.behaviour.feedbackMode !== 'onRequest') {
+      this.showButton('show-solution');
+    }
+    else {
+      this.hideButton('show-solution');
+    }
   }
 
   /**
@@ -298,13 +1067,27 @@ export default class StructureStrip extends H5P.Question {
   getXAPIAnswerEvent() {
     const xAPIEvent = this.createXAPIEvent('answered');
 
+    // Will also set duration, because activity has been started
     xAPIEvent.setScoredResult(this.getScore(), this.getMaxScore(), this,
       true, this.isPassed());
 
-    /*
-     * TODO: Add other properties here as required, e.g. xAPIEvent.data.statement.result.response
-     * https://github.com/adlnet/xAPI-Spec/blob/master/xAPI-Data.md#245-result
-     */
+    // Texts of all sections in the order given by the definition's extension
+    xAPIEvent.data.statement.result.response = (this.content) ?
+      this.content.getText().join('[,]') :
+      '';
+
+    // Rubric criteria ticked by the student
+    const rubricResults = (this.content) ? this.content.getRubricResults() : [];
+    if (rubricResults.length > 0) {
+      xAPIEvent.data.statement.result.extensions = xAPIEvent.data.statement.result.extensions || {};
+      xAPIEvent.data.statement.result.extensions[StructureStrip.XAPI_EXTENSION_RUBRIC] = rubricResults;
+    }
+
+    // Time spent in each section in seconds
+    if (this.timer && this.content) {
+      xAPIEvent.data.statement.result.extensions = xAPIEvent.data.statement.result.extensions || {};
+      xAPIEvent.data.statement.result.extensions[StructureStrip.XAPI_EXTENSION_TIME] = this.content.getTimes();
+    }
 
     return xAPIEvent;
   }
@@ -333,16 +1116,22 @@ export default class StructureStrip extends H5P.Question {
     definition.description = {};
     definition.description[this.languageTag] = this.getDescription();
 
-    // TODO: Set IRI as required for your verb, cmp. http://xapi.vocab.pub/verbs/#
     definition.type = 'http://adlnet.gov/expapi/activities/cmi.interaction';
+    definition.interactionType = 'long-fill-in';
 
-    // TODO: Set as required, cmp. https://github.com/adlnet/xAPI-Spec/blob/master/xAPI-Data.md#interaction-types
-    definition.interactionType = 'other';
+    // Sections that the response's texts belong to
+    definition.extensions = {};
+    definition.extensions[StructureStrip.XAPI_EXTENSION_SECTIONS] = (this.content) ?
+      this.content.getSectionDefinitions() :
+      [];
 
-    /*
-     * TODO: Add other object properties as required, e.g. definition.correctResponsesPattern
-     * cmp. https://github.com/adlnet/xAPI-Spec/blob/master/xAPI-Data.md#244-object
-     */
+    // Template chosen by the student
+    if (this.template) {
+      definition.extensions[StructureStrip.XAPI_EXTENSION_TEMPLATE] = {
+        id: this.template.id,
+        name: this.template.name
+      };
+    }
 
     return definition;
   }
@@ -352,7 +1141,11 @@ export default class StructureStrip extends H5P.Question {
    * @return {boolean} True if user passed or task is not scored.
    */
   isPassed() {
-    return true;
+    if (!this.params.behaviour.enableScoring) {
+      return true;
+    }
+
+    return this.getScore() >= this.getMaxScore() * this.params.behaviour.passPercentage / 100;
   }
 
   /**
@@ -375,7 +1168,7 @@ export default class StructureStrip extends H5P.Question {
    * @return {string} Description.
    */
   getDescription() {
-    this.params.taskDescription || StructureStrip.DEFAULT_DESCRIPTION;
+    return this.params.taskDescription || StructureStrip.DEFAULT_DESCRIPTION;
   }
 
   /**
@@ -383,20 +1176,209 @@ export default class StructureStrip extends H5P.Question {
    * @return {object} Current state.
    */
   getCurrentState() {
-    // TODO: Don't let minor changes by author reset the task
+    if (!this.content) {
+      return;
+    }
+
+    // Review mode flag is not kept, so the student will see the comments in regular mode
     return {
-      texts: this.content.getText()
+      version: StructureStrip.STATE_VERSION,
+      sections: this.content.getSectionStates(),
+      template: this.template.id,
+      unassigned: this.content.getUnassignedTexts(),
+      timeElapsed: (this.timer) ? this.timer.getTimeElapsed() : undefined
     };
   }
 
+  /**
+   * Show chooser for changing the template.
+   */
+  showTemplateChooser() {
+    // Sections must not be rebuilt once the answer was checked
+    if (this.feedback) {
+      return;
+    }
+
+    this.templateChooser.setCurrent(this.template.id);
+    this.templateChooser.showTitle(false);
+    this.content.showOverlay(this.params.l10n.chooseStructure, this.templateChooser.getDOM());
+  }
+
+  /**
+   * Map states of current sections to the sections of another template. Texts
+   * are kept in sections with the same id or else moved to sections with the
+   * same title.
+   * @param {object[]} sectionStates States of current sections.
+   * @param {object[]} sections Section definitions of other template.
+   * @return {object[]} Section states with ids of other template.
+   */
+  mapSectionStates(sectionStates, sections) {
+    const findDefinition = (definitions, id) => {
+      return definitions.filter(definition => {
+        return definition.id === id ||
+          definition.repeatable && StructureStripContent.isInstanceId(id, definition.id);
+      })[0];
+    };
+
+    const currentDefinitions = StructureStripContent.getWritableDefinitions(this.template.sections);
+    const definitions = StructureStripContent.getWritableDefinitions(sections);
+
+    const usedIds = sectionStates
+      .map(sectionState => sectionState.id)
+      .filter(id => findDefinition(definitions, id) !== undefined);
+
+    return sectionStates.map(sectionState => {
+      const currentDefinition = findDefinition(currentDefinitions, sectionState.id);
+      if (findDefinition(definitions, sectionState.id) || !currentDefinition || !currentDefinition.title) {
+        return sectionState;
+      }
+
+      const title = Util.htmlDecode(currentDefinition.title).trim().toLowerCase();
+      const definition = definitions.filter(definition => {
+        return definition.title && Util.htmlDecode(definition.title).trim().toLowerCase() === title &&
+          (definition.repeatable || usedIds.indexOf(definition.id) === -1);
+      })[0];
+      if (!definition) {
+        return sectionState;
+      }
+
+      // Texts of several instances of a repeatable section are kept in several instances
+      let id = definition.id;
+      let count = 2;
+      while (usedIds.indexOf(id) !== -1) {
+        id = `${definition.id}${StructureStripContent.INSTANCE_SEPARATOR}${count}`;
+        count++;
+      }
+      usedIds.push(id);
+
+      return Util.extend({}, sectionState, {id: id});
+    });
+  }
+
+  /**
+   * Change template, keeping the texts given in the state.
+   * @param {object} state State for the new template as returned by migrateState.
+   * @param {string} [announcement] Text to read, structure change by default.
+   */
+  changeTemplate(state, announcement) {
+    // Keep texts that may not fit into the new template
+    this.saveDraft();
+
+    this.template = this.getTemplate(state.template);
+    this.previousState = state;
+
+    this.buildContent();
+    this.resetFeedback();
+
+    this.read(announcement || this.params.a11y.structureChanged.replace(/@name/g, this.template.name));
+    this.handleInteracted();
+
+    this.trigger('resize');
+  }
+
+  /**
+   * Save draft of current state.
+   */
+  saveDraft() {
+    if (!this.drafts || !this.content) {
+      return;
+    }
+
+    this.drafts.save(this.getCurrentState());
+  }
+
+  /**
+   * Start saving drafts periodically.
+   */
+  startAutosave() {
+    if (this.autosaveInterval || !this.drafts || !this.drafts.isAvailable()) {
+      return;
+    }
+
+    this.autosaveInterval = window.setInterval(() => {
+      this.saveDraft();
+    }, StructureStrip.AUTOSAVE_INTERVAL_MS);
+  }
+
+  /**
+   * Stop saving drafts periodically.
+   */
+  stopAutosave() {
+    window.clearInterval(this.autosaveInterval);
+    this.autosaveInterval = null;
+  }
+
+  /**
+   * Offer to restore the latest draft that the platform did not save.
+   */
+  offerUnsavedDraft() {
+    if (!this.unsavedDraft) {
+      return;
+    }
+
+    const state = this.migrateState(this.unsavedDraft);
+    delete this.unsavedDraft;
+
+    const dialog = new H5P.ConfirmationDialog({
+      headerText: this.params.l10n.restoreLatestDraftHeader,
+      dialogText: this.params.l10n.restoreLatestDraftText,
+      cancelText: this.params.l10n.cancel,
+      confirmText: this.params.l10n.restoreDraft
+    });
+    dialog.on('confirmed', () => {
+      this.restoreUnsavedDraft(state);
+    });
+    dialog.appendTo(this.container);
+    dialog.show();
+  }
+
+  /**
+   * Restore state of the latest draft.
+   * @param {object} state State as returned by migrateState.
+   */
+  restoreUnsavedDraft(state) {
+    if (!this.content) {
+      this.previousState = state;
+      this.handleTemplateChosen(state.template);
+      this.read(this.params.a11y.latestDraftRestored);
+      return;
+    }
+
+    this.changeTemplate(state, this.params.a11y.latestDraftRestored);
+  }
+
   /**
    * Handle DOM initialized.
    */
   handleDOMInitialized() {
-    this.container = Util.closestParent(this.content.getDOM(), '.h5p-question.h5p-structure-strip');
+    this.container = Util.closestParent(this.wrapper, '.h5p-question.h5p-structure-strip');
+    if (this.params.behaviour.enableScoring) {
+      this.container.classList.add('h5p-structure-strip-scoring');
+    }
+    if (this.isReviewMode) {
+      this.container.classList.add('h5p-structure-strip-review-mode');
+    }
     this.buttonCopy = this.container.querySelector('.h5p-question-copy');
 
-    this.content.setContainer(this.container);
+    if (this.content) {
+      this.content.setContainer(this.container);
+    }
+
+    this.offerUnsavedDraft();
+  }
+
+  /**
+   * Handle export.
+   * @param {string} format Export format.
+   */
+  handleExport(format) {
+    const exporter = new StructureStripExporter({
+      title: this.getTitle(),
+      description: this.params.taskDescription,
+      sections: this.content.getSectionTexts()
+    });
+
+    exporter.download(format);
   }
 
   /**
@@ -405,7 +1387,141 @@ export default class StructureStrip extends H5P.Question {
   handleInteracted() {
     this.triggerXAPI('interacted');
   }
+
+  /**
+   * Handle section focused.
+   */
+  handleSectionFocused() {
+    if (this.timer && !this.isReviewMode && !this.feedback) {
+      this.timer.start();
+    }
+  }
+
+  /**
+   * Handle time up.
+   */
+  handleTimeUp() {
+    // Answer was given already
+    if (this.feedback) {
+      return;
+    }
+
+    this.content.updateTimes();
+
+    // Submit as if the answer had been checked
+    if (this.params.behaviour.feedbackMode === 'onRequest') {
+      this.checkAnswer();
+    }
+    else {
+      this.trigger(this.getXAPIAnswerEvent());
+    }
+
+    this.lockTask();
+
+    this.read(this.params.l10n.timeUp);
+  }
+
+  /**
+   * Handle template chosen.
+   * @param {string} id Id of chosen template.
+   */
+  handleTemplateChosen(id) {
+    // Initial choice
+    if (!this.content) {
+      this.template = this.getTemplate(id);
+
+      this.wrapper.removeChild(this.templateChooser.getDOM());
+      this.buildContent();
+
+      ['copy', 'export', 'import-text', 'restore-version', 'change-structure'].forEach(buttonId => {
+        this.showButton(buttonId);
+      });
+      this.resetFeedback();
+
+      this.handleInteracted();
+      this.trigger('resize');
+      return;
+    }
+
+    this.content.hideOverlay();
+    if (id === this.template.id) {
+      return;
+    }
+
+    const state = this.getCurrentState();
+    const migratedState = this.migrateState({
+      template: id,
+      sections: this.mapSectionStates(state.sections, this.getTemplate(id).sections),
+      unassigned: state.unassigned
+    });
+
+    // Texts that would only be kept as unassigned texts are dropped
+    const lostSections = migratedState.unassigned.slice(state.unassigned.length);
+    migratedState.unassigned = state.unassigned;
+
+    if (lostSections.length === 0) {
+      this.changeTemplate(migratedState);
+      return;
+    }
+
+    const dialog = new H5P.ConfirmationDialog({
+      headerText: this.params.l10n.changeStructureHeader,
+      dialogText: this.params.l10n.changeStructureText
+        .replace(/@titles/g, lostSections.map(section => section.title).join(', ')),
+      cancelText: this.params.l10n.cancel,
+      confirmText: this.params.l10n.changeStructureConfirm
+    });
+    dialog.on('confirmed', () => {
+      this.changeTemplate(migratedState);
+    });
+    dialog.appendTo(this.container);
+    dialog.show();
+  }
+
+  /**
+   * Handle rubric criteria ticked or unticked.
+   */
+  handleRubricChanged() {
+    this.handleInteracted();
+
+    // Score has changed after checking
+    if (this.feedback) {
+      this.showFeedback();
+
+      // Report the new score once, not for every criterion ticked in a row
+      window.clearTimeout(this.rubricAnsweredTimeout);
+      this.rubricAnsweredTimeout = window.setTimeout(() => {
+        if (this.feedback) {
+          this.trigger(this.getXAPIAnswerEvent());
+        }
+      }, StructureStrip.RUBRIC_ANSWERED_DELAY_MS);
+    }
+  }
 }
 
 /** @constant {string} */
 StructureStrip.DEFAULT_DESCRIPTION = 'Structure Strip';
+
+/** @constant {number} */
+StructureStrip.STATE_VERSION = 2;
+
+/** @constant {number} Interval for saving drafts */
+StructureStrip.AUTOSAVE_INTERVAL_MS = 30000;
+
+/** @constant {number} Pause after ticking rubric criteria that ends a rating */
+StructureStrip.RUBRIC_ANSWERED_DELAY_MS = 3000;
+
+/** @constant {string} Id of the template formed by the sections */
+StructureStrip.DEFAULT_TEMPLATE_ID = 'default';
+
+/** @constant {string} */
+StructureStrip.XAPI_EXTENSION_SECTIONS = 'https://h5p.org/x-api/h5p-structure-strip-sections';
+
+/** @constant {string} */
+StructureStrip.XAPI_EXTENSION_RUBRIC = 'https://h5p.org/x-api/h5p-structure-strip-rubric';
+
+/** @constant {string} */
+StructureStrip.XAPI_EXTENSION_TEMPLATE = 'https://h5p.org/x-api/h5p-structure-strip-template';
+
+/** @constant {string} */
+StructureStrip.XAPI_EXTENSION_TIME = 'https://h5p.org/x-api/h5p-structure-strip-time';
@@ -0,0 +1,69 @@
+import StructureStripDrafts from '../src/scripts/h5p-structure-strip-drafts';
+
+/**
+ * Build state with texts.
+ * @param {string[]} texts Texts of sections.
+ * @return {object} State.
+ */
+const buildState = (texts) => {
+  return {
+    version: 2,
+    sections: texts.map((text, index) => ({id: `section-${index}`, text: text}))
+  };
+};
+
+describe('StructureStripDrafts', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('scopes storage key by content, subcontent and user', () => {
+    expect(new StructureStripDrafts({contentId: 1}).getStorageKey())
+      .toBe('h5p-structure-strip-drafts-1');
+    expect(new StructureStripDrafts({contentId: 1, subContentId: 'abc', userId: 7}).getStorageKey())
+      .toBe('h5p-structure-strip-drafts-1-abc-7');
+    expect(new StructureStripDrafts({contentId: 1, subContentId: '', userId: 7}).getStorageKey())
+      .toBe('h5p-structure-strip-drafts-1-7');
+  });
+
+  test('keeps drafts of users apart', () => {
+    new StructureStripDrafts({contentId: 1, userId: 1}).save(buildState(['a']));
+
+    expect(new StructureStripDrafts({contentId: 1, userId: 1}).getLatestState()).toEqual(buildState(['a']));
+    expect(new StructureStripDrafts({contentId: 1, userId: 2}).getLatestState()).toBeNull();
+  });
+
+  test('saves only states with written text that changed', () => {
+    const drafts = new StructureStripDrafts({contentId: 1});
+
+    expect(drafts.save(buildState(['', ' ']))).toBe(false);
+    expect(drafts.save(buildState(['a', '']))).toBe(true);
+    expect(drafts.save(buildState(['a', '']))).toBe(false);
+    expect(drafts.save(buildState(['a', 'b']))).toBe(true);
+    expect(drafts.getSnapshots().map(snapshot => snapshot.state)).toEqual([
+      buildState(['a', 'b']),
+      buildState(['a', ''])
+    ]);
+  });
+
+  test('keeps maximum number of snapshots', () => {
+    const drafts = new StructureStripDrafts({contentId: 1, maxSnapshots: 2});
+    ['a', 'b', 'c'].forEach(text => drafts.save(buildState([text])));
+
+    expect(new StructureStripDrafts({contentId: 1}).getSnapshots().map(snapshot => snapshot.state))
+      .toEqual([buildState(['c']), buildState(['b'])]);
+  });
+
+  test('is not available without content id', () => {
+    const drafts = new StructureStripDrafts();
+
+    expect(drafts.isAvailable()).toBe(false);
+    expect(drafts.save(buildState(['a']))).toBe(false);
+  });
+
+  test('detects written text in sections and unassigned texts', () => {
+    expect(StructureStripDrafts.hasWrittenText({sections: [{text: ' '}]})).toBe(false);
+    expect(StructureStripDrafts.hasWrittenText({})).toBe(false);
+    expect(StructureStripDrafts.hasWrittenText({sections: [{text: ''}], unassigned: [{text: 'a'}]})).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+/* global DataView, Uint8Array */
+import {TextDecoder, TextEncoder} from 'util';
+import StructureStripExporter from '../src/scripts/h5p-structure-strip-exporter';
+
+// jsdom does not provide TextEncoder
+global.TextEncoder = TextEncoder;
+
+describe('StructureStripExporter.encodeUTF8', () => {
+  test('encodes multi-byte characters', () => {
+    expect(Array.from(StructureStripExporter.encodeUTF8('aé€😀'))).toEqual([
+      0x61, 0xC3, 0xA9, 0xE2, 0x82, 0xAC, 0xF0, 0x9F, 0x98, 0x80
+    ]);
+  });
+
+  test('replaces lone surrogates', () => {
+    expect(Array.from(StructureStripExporter.encodeUTF8('\uD800'))).toEqual([0xEF, 0xBF, 0xBD]);
+  });
+});
+
+describe('StructureStripExporter.removeInvalidXMLCharacters', () => {
+  test('keeps tab, line feed and carriage return only', () => {
+    expect(StructureStripExporter.removeInvalidXMLCharacters('a\u0000\u0008\tb\n\rc\u001F'))
+      .toBe('a\tb\n\rc');
+  });
+
+  test('is applied to DOCX runs', () => {
+    expect(StructureStripExporter.buildDOCXRun('a\u000B<b>', {bold: true}))
+      .toBe('<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">a&lt;b&gt;</w:t></w:r>');
+  });
+});
+
+describe('StructureStripExporter.computeCRC32', () => {
+  test('computes checksum', () => {
+    expect(StructureStripExporter.computeCRC32(new Uint8Array(0))).toBe(0);
+    expect(StructureStripExporter.computeCRC32(StructureStripExporter.encodeUTF8('123456789')))
+      .toBe(0xCBF43926);
+  });
+});
+
+describe('StructureStripExporter.buildZip', () => {
+  test('stores files with local headers and central directory', () => {
+    const data = StructureStripExporter.encodeUTF8('content');
+    const zip = StructureStripExporter.buildZip([{name: 'a.txt', data: data}]);
+    const view = new DataView(zip.buffer);
+
+    expect(zip.length).toBe(30 + 5 + 7 + 46 + 5 + 22);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(StructureStripExporter.computeCRC32(data));
+    expect(view.getUint32(18, true)).toBe(7);
+    expect(new TextDecoder().decode(zip.subarray(30, 35))).toBe('a.txt');
+    expect(new TextDecoder().decode(zip.subarray(35, 42))).toBe('content');
+
+    expect(view.getUint32(42, true)).toBe(0x02014b50);
+
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(1);
+    expect(view.getUint32(end + 12, true)).toBe(46 + 5);
+    expect(view.getUint32(end + 16, true)).toBe(42);
+  });
+});
+
+describe('StructureStripExporter.htmlToMarkdown', () => {
+  test('converts emphasis and escapes Markdown characters', () => {
+    expect(StructureStripExporter.htmlToMarkdown('<p><strong>a</strong> <em>b</em> c_d*</p>'))
+      .toBe('**a** *b* c\\_d\\*');
+  });
+
+  test('converts lists and paragraphs', () => {
+    expect(StructureStripExporter.htmlToMarkdown('<p>a<br>b</p><ol><li>c</li><li>d</li></ol><ul><li>e</li></ul>'))
+      .toBe('a  \nb\n\n1. c\n2. d\n\n- e');
+  });
+});
+
+describe('StructureStripExporter.htmlToDOCXParagraphs', () => {
+  test('builds paragraph per block and list item', () => {
+    const paragraphs = StructureStripExporter.htmlToDOCXParagraphs('<p>a <u>b</u></p><ul><li>c</li></ul>');
+
+    expect(paragraphs.match(/<w:p>/g).length).toBe(2);
+    expect(paragraphs).toContain('<w:u w:val="single"/>');
+    expect(paragraphs).toContain('• ');
+  });
+});
@@ -0,0 +1,83 @@
+/* global Promise */
+import {TextDecoder, TextEncoder} from 'util';
+import StructureStripExporter from '../src/scripts/h5p-structure-strip-exporter';
+import StructureStripImporter from '../src/scripts/h5p-structure-strip-importer';
+
+// jsdom does not provide TextEncoder
+global.TextEncoder = TextEncoder;
+
+describe('StructureStripImporter.markdownToText', () => {
+  test('removes headings, quotes and links', () => {
+    expect(StructureStripImporter.markdownToText('# Title\n> quote\n[link](https://example.org) ![image](a.png)'))
+      .toBe('Title\nquote\nlink image');
+  });
+
+  test('removes emphasis', () => {
+    expect(StructureStripImporter.markdownToText('**bold** __bold__ *italic* _italic_'))
+      .toBe('bold bold italic italic');
+    expect(StructureStripImporter.markdownToText('a *b* *c* d')).toBe('a b c d');
+  });
+
+  test('keeps delimiters inside words', () => {
+    expect(StructureStripImporter.markdownToText('snake_case_name and 2*3*4'))
+      .toBe('snake_case_name and 2*3*4');
+  });
+});
+
+describe('StructureStripImporter.splitParagraphs', () => {
+  test('splits at blank lines and joins wrapped lines', () => {
+    expect(StructureStripImporter.splitParagraphs('a\nb\r\n\r\n  \nc\n'))
+      .toEqual(['a b', 'c']);
+  });
+
+  test('splits at line breaks if there are no blank lines', () => {
+    expect(StructureStripImporter.splitParagraphs(' a \nb\n')).toEqual(['a', 'b']);
+  });
+
+  test('returns no paragraphs for empty text', () => {
+    expect(StructureStripImporter.splitParagraphs(' \n ')).toEqual([]);
+  });
+});
+
+describe('StructureStripImporter.computeStarts', () => {
+  test('assigns paragraphs by target lengths', () => {
+    expect(StructureStripImporter.computeStarts([10, 10, 10, 10], [1, 1])).toEqual([0, 2]);
+    expect(StructureStripImporter.computeStarts([10, 10, 10, 10], [1, 3])).toEqual([0, 1]);
+  });
+
+  test('leaves sections empty if there are too few paragraphs', () => {
+    expect(StructureStripImporter.computeStarts([10], [1, 1, 1])).toEqual([0, 0, 1]);
+  });
+
+  test('handles empty text', () => {
+    expect(StructureStripImporter.computeStarts([], [1, 1])).toEqual([0, 0]);
+  });
+});
+
+describe('StructureStripImporter.extractZipEntry', () => {
+  const zip = StructureStripExporter.buildZip([
+    {name: 'a.txt', data: StructureStripExporter.encodeUTF8('first')},
+    {name: 'b.txt', data: StructureStripExporter.encodeUTF8('second')}
+  ]);
+
+  beforeEach(() => {
+    // jsdom does not provide Response to decode the data
+    jest.spyOn(StructureStripImporter, 'decompress')
+      .mockImplementation(data => Promise.resolve(new TextDecoder().decode(data)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('extracts entry by name', () => {
+    return expect(StructureStripImporter.extractZipEntry(zip, 'b.txt')).resolves.toBe('second');
+  });
+
+  test('rejects missing entries and other files', () => {
+    return Promise.all([
+      expect(StructureStripImporter.extractZipEntry(zip, 'c.txt')).rejects.toThrow('No c.txt in ZIP archive'),
+      expect(StructureStripImporter.extractZipEntry(new TextEncoder().encode('no zip'), 'a.txt')).rejects.toThrow('No ZIP archive')
+    ]);
+  });
+});
@@ -0,0 +1,153 @@
+import Util from '../src/scripts/h5p-structure-strip-util';
+
+describe('Util.computeTextLength', () => {
+  test('counts characters including and excluding spaces', () => {
+    expect(Util.computeTextLength('ab cd', 'characters')).toBe(5);
+    expect(Util.computeTextLength('ab cd', 'charactersNoSpaces')).toBe(4);
+    expect(Util.computeTextLength('')).toBe(0);
+  });
+
+  test('counts emoji as one character', () => {
+    expect(Util.computeTextLength('a😀', 'characters')).toBe(2);
+  });
+
+  test('counts words without punctuation', () => {
+    expect(Util.computeTextLength('One, two - three!', 'words', 'en')).toBe(3);
+    expect(Util.computeTextLength('  ', 'words', 'en')).toBe(0);
+  });
+
+  test('counts sentences', () => {
+    expect(Util.computeTextLength('One. Two? Three!', 'sentences', 'en')).toBe(3);
+    expect(Util.computeTextLength('No end mark', 'sentences', 'en')).toBe(1);
+  });
+
+  test('falls back to default segmenting for invalid language tags', () => {
+    expect(Util.computeTextLength('one two', 'words', 'not a tag')).toBe(2);
+  });
+
+  test('counts without Intl.Segmenter', () => {
+    const Segmenter = Intl.Segmenter;
+    delete Intl.Segmenter;
+
+    try {
+      expect(Util.computeTextLength('a😀 b', 'characters')).toBe(4);
+      expect(Util.computeTextLength('One, two - three!', 'words')).toBe(3);
+      expect(Util.computeTextLength('One. Two? Three', 'sentences')).toBe(3);
+    }
+    finally {
+      Intl.Segmenter = Segmenter;
+    }
+  });
+});
+
+describe('Util.sanitizeHTML', () => {
+  test('removes attributes and scripts', () => {
+    expect(Util.sanitizeHTML('<p onclick="x()">a<script>alert(1)</script></p>'))
+      .toBe('<p>a</p>');
+  });
+
+  test('unwraps elements that are not allowed', () => {
+    expect(Util.sanitizeHTML('<p><span style="color:red">a <strong>b</strong></span></p>'))
+      .toBe('<p>a <strong>b</strong></p>');
+  });
+});
+
+describe('Util.htmlToText', () => {
+  test('puts block elements on lines of their own', () => {
+    expect(Util.htmlToText('<p>a</p><p>b<br>c</p><ul><li>d</li><li>e</li></ul>'))
+      .toBe('a\nb\nc\nd\ne');
+  });
+
+  test('keeps inline elements and replaces non-breaking spaces', () => {
+    expect(Util.htmlToText('a&nbsp;<strong>b</strong> &amp; c')).toBe('a b & c');
+  });
+});
+
+describe('Util.textToHTML', () => {
+  test('wraps lines in paragraphs and encodes them', () => {
+    expect(Util.textToHTML('a < b\n\n"c"')).toBe('<p>a &lt; b</p><p>&quot;c&quot;</p>');
+  });
+
+  test('is reversed by htmlToText', () => {
+    const text = 'One & two\nthree';
+    expect(Util.htmlToText(Util.textToHTML(text))).toBe(text);
+  });
+});
+
+describe('Util.buildKeyword', () => {
+  test('returns null for empty keywords', () => {
+    expect(Util.buildKeyword('  ')).toBeNull();
+    expect(Util.buildKeyword()).toBeNull();
+  });
+
+  test('matches words only as whole words', () => {
+    const keyword = Util.buildKeyword('cat');
+    expect(keyword.label).toBe('cat');
+    expect(keyword.regExp.test('The Cat sat.')).toBe(true);
+    expect(keyword.regExp.test('concatenate')).toBe(false);
+  });
+
+  test('matches phrases across any whitespace', () => {
+    expect(Util.buildKeyword('in  fact').regExp.test('in\nfact')).toBe(true);
+  });
+
+  test('decodes HTML entities', () => {
+    expect(Util.buildKeyword('R&amp;D').regExp.test('our R&D team')).toBe(true);
+  });
+
+  test('builds regular expressions without global and sticky flags', () => {
+    const keyword = Util.buildKeyword('/colou?r/giy');
+    expect(keyword.label).toBe('colou?r');
+    expect(keyword.regExp.flags).toBe('i');
+    expect(keyword.regExp.test('Color')).toBe(true);
+    expect(keyword.regExp.test('Color')).toBe(true);
+  });
+
+  test('matches invalid regular expressions literally', () => {
+    const unbalanced = Util.buildKeyword('/(a/i');
+    expect(unbalanced.label).toBe('/(a/i');
+    expect(unbalanced.regExp.test('x /(a/i y')).toBe(true);
+
+    const duplicateFlags = Util.buildKeyword('/a/ii');
+    expect(duplicateFlags.label).toBe('/a/ii');
+    expect(duplicateFlags.regExp.test('a')).toBe(false);
+  });
+});
+
+describe('Util.formatTime', () => {
+  test('formats seconds as minutes and seconds', () => {
+    expect(Util.formatTime(0)).toBe('0:00');
+    expect(Util.formatTime(9.6)).toBe('0:10');
+    expect(Util.formatTime(61)).toBe('1:01');
+    expect(Util.formatTime(3600)).toBe('60:00');
+  });
+
+  test('does not format negative durations', () => {
+    expect(Util.formatTime(-5)).toBe('0:00');
+  });
+});
+
+describe('Util.selectPluralForm', () => {
+  test('selects form by plural category of language', () => {
+    const forms = 'one:word|other:words';
+    expect(Util.selectPluralForm(forms, 1, 'en')).toBe('word');
+    expect(Util.selectPluralForm(forms, 0, 'en')).toBe('words');
+    expect(Util.selectPluralForm(forms, 2, 'en')).toBe('words');
+  });
+
+  test('uses categories beyond one and other', () => {
+    const forms = 'one:słowo|few:słowa|many:słów|other:słowa';
+    expect(Util.selectPluralForm(forms, 3, 'pl')).toBe('słowa');
+    expect(Util.selectPluralForm(forms, 5, 'pl')).toBe('słów');
+  });
+
+  test('falls back to other form', () => {
+    expect(Util.selectPluralForm('other:Wörter', 1, 'de')).toBe('Wörter');
+    expect(Util.selectPluralForm('words', 1, 'en')).toBe('words');
+    expect(Util.selectPluralForm('one:word', 2, 'en')).toBe('');
+  });
+
+  test('selects form for invalid language tags', () => {
+    expect(Util.selectPluralForm('one:word|other:words', 1, 'not a tag')).toBe('word');
+  });
+});
@@ -0,0 +1,344 @@
+// The content type extends H5P.Question which is provided by H5P core
+global.H5P = {
+  Question: class {
+    constructor() {
+      this.buttons = {};
+      this.triggered = [];
+    }
+
+    addButton(id, label, callback, visible) {
+      this.buttons[id] = {callback: callback, visible: visible};
+    }
+
+    showButton(id) {
+      if (this.buttons[id]) {
+        this.buttons[id].visible = true;
+      }
+    }
+
+    hideButton(id) {
+      if (this.buttons[id]) {
+        this.buttons[id].visible = false;
+      }
+    }
+
+    setContent(content) {
+      const question = document.createElement('div');
+      question.classList.add('h5p-question', 'h5p-structure-strip');
+      question.appendChild(content);
+    }
+
+    trigger(event) {
+      this.triggered.push(event);
+    }
+
+    triggerXAPI(verb) {
+      this.triggered.push(verb);
+    }
+  },
+  createTitle: title => title
+};
+
+[
+  'on', 'setIntroduction', 'setFeedback', 'removeFeedback', 'read', 'setActivityStarted'
+].forEach(method => {
+  H5P.Question.prototype[method] = () => {};
+});
+
+const StructureStrip = require('../src/scripts/h5p-structure-strip').default;
+
+/**
+ * Create instance without autosave.
+ * @param {object} params Parameters.
+ * @return {StructureStrip} Instance.
+ */
+const createInstance = (params) => {
+  return new StructureStrip(Object.assign({behaviour: {enableAutosave: false}}, params), 1, {});
+};
+
+/**
+ * Create instance and build its content.
+ * @param {object} params Parameters.
+ * @return {StructureStrip} Instance.
+ */
+const createInstanceWithContent = (params) => {
+  const instance = createInstance(params);
+  instance.registerDomElements();
+
+  return instance;
+};
+
+describe('StructureStrip.migrateState', () => {
+  const params = {
+    sections: [
+      {id: 'intro', title: 'Introduction', weight: 1},
+      {id: 'body', title: 'Body', weight: 2},
+      {id: 'notes', title: 'Notes', weight: 1, repeatable: true, repeatMax: 2}
+    ]
+  };
+
+  test('assigns texts of the current version by section id', () => {
+    const state = createInstance(params).migrateState({
+      version: 2,
+      sections: [
+        {id: 'body', text: 'Body text', timeSpent: 5},
+        {id: 'intro', text: 'Intro text'}
+      ],
+      timeElapsed: 30
+    });
+
+    expect(state.version).toBe(StructureStrip.STATE_VERSION);
+    expect(state.template).toBe(StructureStrip.DEFAULT_TEMPLATE_ID);
+    expect(state.sections.map(section => [section.id, section.text])).toEqual([
+      ['body', 'Body text'],
+      ['intro', 'Intro text']
+    ]);
+    expect(state.sections[0].timeSpent).toBe(5);
+    expect(state.timeElapsed).toBe(30);
+    expect(state.unassigned).toEqual([]);
+  });
+
+  test('assigns texts of version 1 by position', () => {
+    const state = createInstance(params).migrateState({texts: ['one', 'two']});
+
+    expect(state.sections.map(section => [section.id, section.text])).toEqual([
+      ['intro', 'one'],
+      ['body', 'two']
+    ]);
+  });
+
+  test('keeps texts of removed sections as unassigned texts', () => {
+    const state = createInstance(params).migrateState({
+      sections: [
+        {id: 'removed', title: 'Removed', text: 'Lost?'},
+        {id: 'empty', title: 'Empty', text: '  '},
+        {id: 'intro', text: 'Intro'}
+      ],
+      unassigned: [{title: 'Older', text: 'Older text'}]
+    });
+
+    expect(state.sections.map(section => section.id)).toEqual(['intro']);
+    expect(state.unassigned).toEqual([
+      {title: 'Older', text: 'Older text'},
+      {title: 'Removed', text: 'Lost?'}
+    ]);
+  });
+
+  test('keeps instances of repeatable sections up to their maximum', () => {
+    const state = createInstance(params).migrateState({
+      sections: [
+        {id: 'notes', title: 'Notes', text: 'first'},
+        {id: 'notes#2', title: 'Notes', text: 'second'},
+        {id: 'notes#3', title: 'Notes', text: 'third'}
+      ]
+    });
+
+    expect(state.sections.map(section => section.text)).toEqual(['first', 'second']);
+    expect(state.unassigned.map(section => section.text)).toEqual(['third']);
+  });
+
+  test('ignores sections without text and duplicate ids', () => {
+    const state = createInstance(params).migrateState({
+      sections: [
+        {id: 'intro', text: 'first'},
+        {id: 'intro', text: 'second'},
+        {id: 'body'}
+      ]
+    });
+
+    expect(state.sections.map(section => section.text)).toEqual(['first']);
+    expect(state.unassigned.map(section => section.text)).toEqual(['second']);
+  });
+
+  test('falls back to the first template for unknown templates', () => {
+    const state = createInstance(params).migrateState({template: 'unknown'});
+
+    expect(state.template).toBe(StructureStrip.DEFAULT_TEMPLATE_ID);
+    expect(state.sections).toEqual([]);
+    expect(state.timeElapsed).toBe(0);
+  });
+});
+
+describe('StructureStrip.addSectionIds', () => {
+  test('derives missing ids from titles without using stored ids', () => {
+    const sections = [
+      {id: 'title-A-1', title: 'Renamed'},
+      {title: 'A'},
+      {title: 'A &amp; B', children: [{title: 'x'}, {title: 'x'}]},
+      {}
+    ];
+
+    createInstance({}).addSectionIds(sections);
+
+    expect(sections.map(section => section.id)).toEqual([
+      'title-A-1',
+      'title-A-2',
+      'title-A & B-1',
+      'title-Section 4-1'
+    ]);
+    expect(sections[2].children.map(child => child.id)).toEqual([
+      'title-A & B-1/title-x-1',
+      'title-A & B-1/title-x-2'
+    ]);
+  });
+});
+
+describe('StructureStrip.checkAnswer', () => {
+  const params = {
+    behaviour: {enableAutosave: false, feedbackMode: 'onRequest'},
+    sections: [{id: 'intro', title: 'Introduction', weight: 1}],
+    templates: [{id: 'other', name: 'Other', sections: [{title: 'Other', weight: 1}]}]
+  };
+
+  test('keeps structure until task is reset', () => {
+    const instance = createInstanceWithContent(params);
+    instance.getXAPIAnswerEvent = () => 'answered';
+    instance.handleTemplateChosen(StructureStrip.DEFAULT_TEMPLATE_ID);
+    const showOverlay = jest.spyOn(instance.content, 'showOverlay');
+
+    expect(instance.buttons['change-structure'].visible).toBe(true);
+
+    instance.checkAnswer();
+    expect(instance.buttons['change-structure'].visible).toBe(false);
+
+    instance.showTemplateChooser();
+    expect(showOverlay).not.toHaveBeenCalled();
+
+    instance.resetTask();
+    expect(instance.buttons['change-structure'].visible).toBe(true);
+
+    instance.showTemplateChooser();
+    expect(showOverlay).toHaveBeenCalled();
+  });
+});
+
+describe('StructureStripContent history shortcuts', () => {
+  const params = {
+    sections: [{id: 'intro', title: 'Introduction', weight: 1}]
+  };
+
+  /**
+   * Press Ctrl+Z on element.
+   * @param {HTMLElement} element Element that has focus.
+   * @return {KeyboardEvent} Event.
+   */
+  const pressUndo = (element) => {
+    const event = new KeyboardEvent('keydown', {key: 'z', ctrlKey: true, bubbles: true, cancelable: true});
+    element.dispatchEvent(event);
+
+    return event;
+  };
+
+  test('undo changes of sections', () => {
+    const content = createInstanceWithContent(params).content;
+    const undo = jest.spyOn(content, 'undo');
+
+    const event = pressUndo(content.getDOM().querySelector('.h5p-structure-strip-text-strip-input-field'));
+
+    expect(undo).toHaveBeenCalled();
+    expect(event.defaultPrevented).toBe(true);
+  });
+
+  test('keep browser undo in overlay fields', () => {
+    const content = createInstanceWithContent(params).content;
+    const undo = jest.spyOn(content, 'undo');
+
+    content.showImporter();
+    const event = pressUndo(content.overlay.getDOM().querySelector('.h5p-structure-strip-importer-input'));
+
+    expect(undo).not.toHaveBeenCalled();
+    expect(event.defaultPrevented).toBe(false);
+  });
+});
+
+describe('StructureStripContent.buildKeywordFeedbackTexts', () => {
+  test('encodes keywords in feedback HTML', () => {
+    const content = createInstanceWithContent({
+      sections: [{
+        id: 'intro',
+        title: 'Introduction',
+        weight: 1,
+        requiredWords: ['&lt;img src=x onerror=alert(1)&gt;'],
+        forbiddenWords: ['/a&lt;b/']
+      }]
+    }).content;
+    content.sections[0].setText('a<b');
+
+    expect(content.buildKeywordFeedbackTexts({missingWords: 'add @words', forbiddenWords: 'avoid @words'}))
+      .toEqual([['add &lt;img src=x onerror=alert(1)&gt;', 'avoid a&lt;b']]);
+  });
+});
+
+describe('StructureStrip.getMaxScore', () => {
+  const params = {
+    behaviour: {enableAutosave: false, enableScoring: true},
+    sections: [
+      {id: 'intro', title: 'Introduction', weight: 1},
+      {id: 'body', title: 'Body', weight: 2, children: [{title: 'Claim', weight: 1}, {title: 'Evidence', weight: 1}]},
+      {id: 'notes', title: 'Notes', weight: 1, repeatable: true, repeatMin: 2, repeatMax: 3}
+    ]
+  };
+
+  test('gives one point to each section, child section and instance', () => {
+    const instance = createInstanceWithContent(params);
+
+    expect(instance.content.getNumberOfSections()).toBe(5);
+    expect(instance.getMaxScore()).toBe(5);
+  });
+
+  test('uses maximum score set by author', () => {
+    const instance = createInstanceWithContent(Object.assign({}, params, {
+      behaviour: {enableAutosave: false, enableScoring: true, maxScore: 10}
+    }));
+
+    expect(instance.getMaxScore()).toBe(10);
+  });
+});
+
+describe('StructureStrip.handleRubricChanged', () => {
+  const params = {
+    behaviour: {enableAutosave: false, feedbackMode: 'onRequest'},
+    sections: [{id: 'intro', title: 'Introduction', weight: 1}]
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('sends one answered statement for criteria ticked in a row', () => {
+    const instance = createInstanceWithContent(params);
+    instance.getXAPIAnswerEvent = () => 'answered';
+    const showFeedback = jest.spyOn(instance, 'showFeedback');
+
+    instance.checkAnswer();
+    instance.triggered = [];
+
+    [1, 2, 3].forEach(() => {
+      instance.handleRubricChanged();
+      jest.advanceTimersByTime(StructureStrip.RUBRIC_ANSWERED_DELAY_MS - 1);
+    });
+
+    expect(showFeedback).toHaveBeenCalledTimes(4);
+    expect(instance.triggered.filter(event => event === 'answered')).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    expect(instance.triggered.filter(event => event === 'answered')).toEqual(['answered']);
+  });
+
+  test('sends no answered statement after reset', () => {
+    const instance = createInstanceWithContent(params);
+    instance.getXAPIAnswerEvent = () => 'answered';
+
+    instance.checkAnswer();
+    instance.triggered = [];
+    instance.handleRubricChanged();
+    instance.resetTask();
+    jest.runOnlyPendingTimers();
+
+    expect(instance.triggered.filter(event => event === 'answered')).toEqual([]);
+  });
+});
@@ -0,0 +1,2 @@
+// Styles are bundled by webpack and not needed in unit tests
+module.exports = {};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// H5P core loads upgrades.js as a plain script that defines H5PUpgrades
+const H5PUpgrades = new Function(
+  `${fs.readFileSync(path.join(__dirname, '..', 'upgrades.js'), 'utf-8')}; return H5PUpgrades;`
+)();
+
+/**
+ * Run upgrade to 1.1.
+ * @param {object} parameters Content parameters.
+ * @return {object} Upgraded parameters.
+ */
+const upgrade = (parameters) => {
+  let result;
+  H5PUpgrades['H5P.StructureStrip'][1][1](parameters, (error, upgraded) => {
+    result = upgraded;
+  }, {});
+
+  return result;
+};
+
+describe('Upgrade to 1.1', () => {
+  test('stores the ids that were derived from titles before', () => {
+    const parameters = upgrade({
+      sections: [
+        {title: 'A &amp; B'},
+        {title: 'A &amp; B', children: [{title: 'x'}, {}]},
+        {}
+      ]
+    });
+
+    expect(parameters.sections.map(section => section.id)).toEqual([
+      'title-A & B-1',
+      'title-A & B-2',
+      'title-Section 3-1'
+    ]);
+    expect(parameters.sections[1].children.map(child => child.id)).toEqual([
+      'title-A & B-2/title-x-1',
+      'title-A & B-2/title-2-1'
+    ]);
+  });
+
+  test('stores ids of structures, skipping structures without sections', () => {
+    const parameters = upgrade({
+      l10n: {structure: 'Struktur'},
+      sections: [],
+      templates: [
+        {name: 'Empty'},
+        {sections: [{title: 'A'}]},
+        {id: 'name-T-1', name: 'T', sections: [{title: 'A'}]},
+        {name: 'T', sections: [{id: 'kept', title: 'A'}]}
+      ]
+    });
+
+    expect(parameters.templates.map(template => template.id)).toEqual([
+      undefined,
+      'name-Struktur 2-1',
+      'name-T-1',
+      'name-T-2'
+    ]);
+    expect(parameters.templates[1].sections[0].id).toBe('title-A-1');
+    expect(parameters.templates[3].sections[0].id).toBe('kept');
+  });
+});
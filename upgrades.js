@@ -0,0 +1,128 @@
+var H5PUpgrades = H5PUpgrades || {};
+
+H5PUpgrades['H5P.StructureStrip'] = (function () {
+  /**
+   * Decode HTML entities that the editor uses for text fields.
+   * Upgrades may run in a web worker, so the DOM cannot be used.
+   * @param {string} text Text to decode.
+   * @return {string} Decoded text.
+   */
+  var htmlDecode = function (text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;/g, '\'')
+      .replace(/&amp;/g, '&');
+  };
+
+  /**
+   * Build id that is not used yet.
+   * @param {string} prefix Prefix of id.
+   * @param {string[]} usedIds Ids that are used already, new id will be added.
+   * @return {string} Unused id.
+   */
+  var buildUnusedId = function (prefix, usedIds) {
+    var count = 1;
+    while (usedIds.indexOf(prefix + '-' + count) !== -1) {
+      count++;
+    }
+
+    var id = prefix + '-' + count;
+    usedIds.push(id);
+
+    return id;
+  };
+
+  /**
+   * Store ids of sections and sub-sections. The ids are the ones that were
+   * derived from the titles before, so saved texts can still be assigned.
+   * @param {object[]} sections Sections.
+   * @param {string} sectionLabel Label for sections without title.
+   */
+  var addSectionIds = function (sections, sectionLabel) {
+    var usedIds = sections
+      .filter(function (section) {
+        return section.id;
+      })
+      .map(function (section) {
+        return section.id;
+      });
+
+    sections.forEach(function (section, index) {
+      if (!section.id) {
+        var title = htmlDecode(section.title || sectionLabel + ' ' + (index + 1));
+        section.id = buildUnusedId('title-' + title, usedIds);
+      }
+
+      if (!Array.isArray(section.children)) {
+        return;
+      }
+
+      var usedChildIds = section.children
+        .filter(function (child) {
+          return child.id;
+        })
+        .map(function (child) {
+          return child.id;
+        });
+
+      section.children.forEach(function (child, childIndex) {
+        if (!child.id) {
+          var childTitle = htmlDecode(child.title || '' + (childIndex + 1));
+          child.id = buildUnusedId(section.id + '/title-' + childTitle, usedChildIds);
+        }
+      });
+    });
+  };
+
+  return {
+    1: {
+      /**
+       * Asynchronous content upgrade hook.
+       * Store ids of sections and structures, so they do not depend on
+       * titles anymore.
+       * @param {object} parameters Content parameters.
+       * @param {function} finished Callback when finished.
+       * @param {object} extras Extra parameters such as metadata.
+       */
+      1: function (parameters, finished, extras) {
+        if (parameters) {
+          var l10n = parameters.l10n || {};
+          var sectionLabel = l10n.section || 'Section';
+          var structureLabel = l10n.structure || 'Structure';
+
+          if (Array.isArray(parameters.sections)) {
+            addSectionIds(parameters.sections, sectionLabel);
+          }
+
+          if (Array.isArray(parameters.templates)) {
+            var usedTemplateIds = parameters.templates
+              .filter(function (template) {
+                return template.id;
+              })
+              .map(function (template) {
+                return template.id;
+              });
+
+            // Templates without sections are not used and did not count
+            parameters.templates
+              .filter(function (template) {
+                return Array.isArray(template.sections) && template.sections.length > 0;
+              })
+              .forEach(function (template, index) {
+                if (!template.id) {
+                  var name = htmlDecode(template.name || structureLabel + ' ' + (index + 2));
+                  template.id = buildUnusedId('name-' + name, usedTemplateIds);
+                }
+
+                addSectionIds(template.sections, sectionLabel);
+              });
+          }
+        }
+
+        finished(null, parameters, extras);
+      }
+    }
+  };
+})();